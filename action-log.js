@@ -0,0 +1,176 @@
+const admin = require('firebase-admin');
+const { ok } = require('./utils');
+const db = admin.firestore();
+
+// Audit trail + undo for AI-originated writes.
+//
+// Every record the assistant writes (confirmed pending actions, voice commands)
+// is logged as a reversible operation under users/{uid}/action_log/{id}:
+//   { action, path, before, after, summary, source, status, createdAt, undoneAt? }
+// before/after are the document's data around the write (null = didn't exist),
+// so undo restores `before`: a created record is deleted, an edited one reverted.
+// status: 'applied' -> 'undone'
+
+const MAX_UNDO = 10;          // per request
+const HISTORY_SCAN_LIMIT = 50; // recent operations searched for undo candidates
+const CHAT_UNDO_WINDOW_MS = 10 * 60 * 1000; // "undo that" only reaches operations this recent
+
+// Voice / chat words -> the actions they refer to
+const UNDO_TARGETS = {
+  expense: ['expense.add'],
+  kharcha: ['expense.add'],
+  reminder: ['schedule.add'],
+  event: ['schedule.add', 'google_meet.create'],
+  meeting: ['schedule.add', 'google_meet.create'],
+  appointment: ['schedule.add'],
+  schedule: ['schedule.add', 'google_meet.create'],
+  meet: ['google_meet.create'],
+};
+
+function actionLogRef(uid) {
+  return db.collection('users').doc(uid).collection('action_log');
+}
+
+/**
+ * Log one AI-originated write. Pass the transaction the write happened in
+ * so the record and its audit entry commit together.
+ */
+function recordOperation(uid, { action, ref, before = null, after = null, summary, source, pendingActionId }, tx = null) {
+  const entry = actionLogRef(uid).doc();
+  const data = {
+    action,
+    path: ref.path,
+    before,
+    after,
+    summary: summary || action,
+    source: source || 'ai',
+    pendingActionId: pendingActionId || null,
+    status: 'applied',
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+  };
+  if (tx) {
+    tx.set(entry, data);
+    return Promise.resolve(entry.id);
+  }
+  return entry.set(data).then(() => entry.id);
+}
+
+/**
+ * Revert the last `count` applied operations (optionally only the given action types,
+ * and only those logged after `sinceMs`), newest first.
+ * Resolves to the reverted entries [{ id, action, summary }].
+ */
+async function undoLast(uid, { count = 1, actions = null, sinceMs = null } = {}) {
+  const limit = Math.min(Math.max(parseInt(count, 10) || 1, 1), MAX_UNDO);
+  const snap = await actionLogRef(uid).orderBy('createdAt', 'desc').limit(HISTORY_SCAN_LIMIT).get();
+  const candidates = snap.docs
+    .filter((d) => d.data().status === 'applied')
+    .filter((d) => !actions || actions.includes(d.data().action))
+    .filter((d) => !sinceMs || (d.data().createdAt?.toMillis?.() || 0) >= sinceMs)
+    .slice(0, limit);
+
+  const undone = [];
+  for (const entry of candidates) {
+    await db.runTransaction(async (tx) => {
+      const fresh = await tx.get(entry.ref);
+      if (fresh.data().status !== 'applied') return;
+      const { path, before, action, summary } = fresh.data();
+      const target = db.doc(path);
+      if (before) {
+        tx.set(target, before);
+      } else {
+        tx.delete(target);
+      }
+      tx.update(entry.ref, { status: 'undone', undoneAt: admin.firestore.FieldValue.serverTimestamp() });
+      undone.push({ id: entry.id, action, summary });
+    });
+  }
+  if (undone.length) console.log(`[ActionLog] ↩️ Undid ${undone.length} action(s) for ${uid}`);
+  return undone;
+}
+
+function describeUndone(undone) {
+  if (undone.length === 0) return "There's nothing recent I can undo.";
+  if (undone.length === 1) return `Done, I've undone the ${undone[0].summary}.`;
+  return `Done, I've undone ${undone.length} actions: ${undone.map((u) => u.summary).join('; ')}.`;
+}
+
+const UNDO_PATTERN = /^(?:please\s+)?(?:undo|cancel|delete|remove)\s+(?:that|it|the\s+last|last|my\s+last)(?:\s+(\d+))?(?:\s+(\w+?))?s?$/i;
+
+/**
+ * Handle "undo that" / "cancel that expense" / "undo last 3".
+ * Only reaches operations from the last few minutes, so "delete that" long after
+ * the fact doesn't remove an old record. Resolves to an intent result
+ * ({ response, action, undone }), or null when nothing qualifies - the message is
+ * then handled as normal chat.
+ */
+async function handleUndoCommand(uid, message) {
+  const text = message.trim().replace(/[.!]+$/, '');
+  const match = text.match(/^undo$/i) ? [] : text.match(UNDO_PATTERN);
+  if (!match) return null;
+
+  const word = (match[2] || '').toLowerCase();
+  if (word && !UNDO_TARGETS[word]) return null;  // "delete the last message" etc. isn't ours
+
+  const undone = await undoLast(uid, {
+    count: match[1] || 1,
+    actions: UNDO_TARGETS[word] || null,
+    sinceMs: Date.now() - CHAT_UNDO_WINDOW_MS,
+  });
+  if (undone.length === 0) return null;
+  return { response: describeUndone(undone), action: 'actions.undo', undone };
+}
+
+// ===== ENDPOINTS =====
+
+async function undo(req, res) {
+  const uid = req.userId;
+  const { count, actions } = req.body || {};
+  const isDemo = uid === 'demo' || req.query.demo === 'true';
+
+  if (isDemo) {
+    return ok(res, { undone: [], demo: true });
+  }
+
+  try {
+    const undone = await undoLast(uid, { count, actions: Array.isArray(actions) ? actions : null });
+    return ok(res, { undone, response: describeUndone(undone) });
+  } catch (e) {
+    console.error('[ActionLog] Firestore error:', e.message);
+    return res.status(500).json({ error: 'Failed to undo actions', detail: e.message });
+  }
+}
+
+async function history(req, res) {
+  const uid = req.userId;
+  const isDemo = uid === 'demo' || req.query.demo === 'true';
+
+  if (isDemo) {
+    return res.json({ actions: [] });
+  }
+
+  try {
+    const snap = await actionLogRef(uid).orderBy('createdAt', 'desc').limit(HISTORY_SCAN_LIMIT).get();
+    return res.json({
+      actions: snap.docs.map((d) => {
+        const data = d.data();
+        return {
+          id: d.id,
+          action: data.action,
+          summary: data.summary,
+          source: data.source,
+          status: data.status,
+          before: data.before,
+          after: data.after,
+          createdAt: data.createdAt?.toDate?.().toISOString() || null,
+          undoneAt: data.undoneAt?.toDate?.().toISOString() || null,
+        };
+      }),
+    });
+  } catch (e) {
+    console.error('[ActionLog] Firestore error:', e.message);
+    return res.status(500).json({ error: 'Failed to fetch action history', detail: e.message });
+  }
+}
+
+module.exports = { recordOperation, undoLast, handleUndoCommand, undo, history };
@@ -0,0 +1,1110 @@
+const { OpenAI } = require('openai');
+// Node 20+ has native fetch, no need for node-fetch
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { resolveStepOptions } = require('./ai-routing');
+const health = require('./provider-health');
+const mock = require('./ai-mock');
+
+const GOOGLE_AI_API_KEY = process.env.GOOGLE_AI_API_KEY || process.env.GOOGLE_AP_API_KEY;
+const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
+// MOCK_AI swaps these for offline fakes (replay) or recording wrappers - see ai-mock.js
+const openai = mock.openaiClient(OPENAI_API_KEY ? new OpenAI({ apiKey: OPENAI_API_KEY, timeout: 20000 }) : null);
+const genAI = mock.geminiClient(GOOGLE_AI_API_KEY ? new GoogleGenerativeAI(GOOGLE_AI_API_KEY) : null);
+const providerFetch = mock.providerFetch;
+
+const xaiApiKey = () => process.env.XAI_API_KEY || mock.replayApiKey();
+const anthropicApiKey = () => process.env.ANTHROPIC_API_KEY || mock.replayApiKey();
+
+// Helper function to add timeout to any promise
+function withTimeout(promise, timeoutMs, errorMessage = 'Operation timed out') {
+  return Promise.race([
+    promise,
+    new Promise((_, reject) =>
+      setTimeout(() => reject(new Error(errorMessage)), timeoutMs)
+    )
+  ]);
+}
+
+/// Pass token counts to options.onUsage (ledger) - accounting never breaks a reply
+function reportUsage(options, model, promptTokens, completionTokens) {
+  if (typeof options?.onUsage !== 'function' || (promptTokens == null && completionTokens == null)) return;
+  try {
+    options.onUsage({ model, promptTokens: promptTokens || 0, completionTokens: completionTokens || 0 });
+  } catch (e) {
+    console.error('[Usage] onUsage error:', e.message);
+  }
+}
+
+/// OpenAI-compatible usage block (OpenAI, Grok)
+function reportChatUsage(options, model, usage) {
+  if (usage) reportUsage(options, model, usage.prompt_tokens, usage.completion_tokens);
+}
+
+/// Gemini usageMetadata from a generateContent response / stream chunk
+function reportGeminiUsage(options, model, metadata) {
+  if (metadata) reportUsage(options, model, metadata.promptTokenCount, metadata.candidatesTokenCount);
+}
+
+/// History to send: a stored conversation's history is already fitted to its memory budget
+/// (conversation-memory.js) and goes as is; client-supplied history is cut to the step's historyLimit
+function recentHistory({ history = [], historyBudgeted }, historyLimit) {
+  return historyBudgeted ? history : history.slice(-historyLimit);
+}
+
+/// Build chat-style messages: system prompt + recent history + current user turn
+function buildChatMessages(request, historyLimit) {
+  const { message, systemPrompt } = request;
+  const messages = [];
+  if (systemPrompt) messages.push({ role: 'system', content: systemPrompt });
+  messages.push(...recentHistory(request, historyLimit));
+  messages.push({ role: 'user', content: message });
+  return messages;
+}
+
+/// Flatten history into the single-prompt format Gemini answers fastest with
+function buildGeminiPrompt(request, historyLimit) {
+  const { message, systemPrompt } = request;
+  const recent = recentHistory(request, historyLimit).map(h => `${h.role}: ${h.content}`).join('\n');
+  return `${systemPrompt || ''}\nRecent: ${recent}\nUser: ${message}\nAssistant:`;
+}
+
+async function callOpenAI(messages, options = {}) {
+  if (!openai) {
+    console.error('OpenAI: Client not initialized - check OPENAI_API_KEY');
+    return '';
+  }
+  const model = options.model || 'gpt-4o-mini';
+  const maxTokens = options.maxTokens || 500;
+  const timeoutMs = options.timeoutMs || 18000;
+  try {
+    console.log(`⚡ [OpenAI] Using ${model}, max_tokens: ${maxTokens}, messages: ${messages.length}`);
+    const resp = await withTimeout(
+      openai.chat.completions.create({
+        model,
+        messages,
+        temperature: options.temperature ?? 0.7,  // More creative and natural
+        max_tokens: maxTokens,
+        top_p: 0.9,  // More diverse responses
+      }),
+      timeoutMs,
+      `OpenAI API timeout after ${timeoutMs / 1000}s`
+    );
+    reportChatUsage(options, model, resp.usage);
+    return resp.choices?.[0]?.message?.content || '';
+  } catch (e) {
+    console.error('OpenAI API error:', e.message || e);
+    const msg = e?.message || '';
+    if (msg.includes('429') || msg.includes('quota')) {
+      console.error('❌ OpenAI: Rate limited or insufficient quota');
+    }
+    return '';
+  }
+}
+
+async function callGrok(messages, options = {}) {
+  const apiKey = xaiApiKey();
+
+  if (!apiKey) {
+    console.error('❌ [Grok] XAI_API_KEY not found in environment');
+    return '';
+  }
+
+  const model = options.model || 'grok-4';
+  const maxTokens = options.maxTokens || 500;
+  const timeoutMs = options.timeoutMs || 18000;
+  try {
+    console.log(`⚡ [Grok] Calling API with model: ${model}, max_tokens: ${maxTokens}, history: ${messages.length}`);
+
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), timeoutMs);
+
+    const resp = await providerFetch('https://api.x.ai/v1/chat/completions', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${apiKey}`
+      },
+      body: JSON.stringify({
+        model,
+        messages,
+        temperature: options.temperature ?? 0.7,  // More creative and natural
+        max_tokens: maxTokens,  // Smart token limiting
+        top_p: 0.9,  // More diverse responses
+        stream: false,  // Non-streaming is faster for short responses
+      }),
+      signal: controller.signal
+    }).finally(() => clearTimeout(timeout));
+
+    if (!resp.ok) {
+      const errorText = await resp.text();
+      console.error(`❌ [Grok] API error ${resp.status}:`, errorText.substring(0, 200));
+      return '';
+    }
+
+    const data = await resp.json();
+    reportChatUsage(options, model, data.usage);
+    const result = data.choices?.[0]?.message?.content || '';
+
+    if (!result || result.trim() === '') {
+      console.error('❌ [Grok] Empty response');
+      return '';
+    }
+
+    console.log(`✅ [Grok] INSTANT! ${result.length} chars`);
+    return result;
+  } catch (e) {
+    if (e.name === 'AbortError') {
+      console.error(`❌ [Grok] Timeout after ${timeoutMs / 1000}s`);
+    } else {
+      console.error(`❌ [Grok] Error:`, e.message);
+    }
+    return '';
+  }
+}
+
+/// Call Gemini with image/file attachments (Vision API)
+async function callGeminiWithAttachments(prompt, attachments, history, systemPrompt, options = {}) {
+  if (!genAI) {
+    console.error('❌ Gemini: genAI not initialized - check GOOGLE_AI_API_KEY');
+    return '';
+  }
+
+  // Use Gemini 1.5 Flash or Pro for vision (2.5 Flash may not support vision yet)
+  const modelName = options.model || 'models/gemini-1.5-flash';
+  const timeoutMs = options.timeoutMs || 18000;
+
+  try {
+    console.log(`[Gemini Vision] 🖼️ Using ${modelName} for image analysis`);
+
+    const model = genAI.getGenerativeModel({
+      model: modelName,
+      generationConfig: {
+        temperature: options.temperature ?? 0.7,  // More creative and natural
+        maxOutputTokens: options.maxTokens || 8000,
+        topP: 0.9,  // More diverse responses
+        topK: 40,   // More choices for better quality
+      },
+    });
+
+    // Build content array with text and images
+    const parts = [];
+
+    // Add system prompt and conversation context
+    const recent = history.map(h => `${h.role}: ${h.content}`).join('\n');
+    const contextPrompt = systemPrompt
+      ? `${systemPrompt}\n\nRecent conversation:\n${recent}\n\nUser prompt: ${prompt}`
+      : `Recent conversation:\n${recent}\n\nUser prompt: ${prompt}`;
+
+    parts.push({ text: contextPrompt });
+
+    // Add images and scanned PDFs - already downloaded and checked by attachments.js
+    for (const attachment of attachments) {
+      if (!attachment.data) continue;
+      console.log(`[Gemini Vision] ${attachment.fileType === 'image' ? '📷' : '📄'} Adding ${attachment.fileType}: ${attachment.fileName} (${attachment.mimeType})`);
+      parts.push({ inlineData: { data: attachment.data, mimeType: attachment.mimeType } });
+    }
+
+    if (parts.length === 1) {
+      // No images or files were added, fall back to text-only
+      console.log('[Gemini Vision] ⚠️ No attachments processed, using text-only mode');
+      return await callGemini(contextPrompt, modelName, options);
+    }
+
+    console.log(`[Gemini Vision] 📤 Sending ${parts.length - 1} attachment(s) with prompt...`);
+
+    // Generate content with images - Gemini API accepts parts directly
+    const result = await withTimeout(
+      model.generateContent(parts),
+      timeoutMs,
+      `Gemini Vision API timeout after ${timeoutMs / 1000}s`
+    );
+    reportGeminiUsage(options, modelName, result.response?.usageMetadata);
+    const text = result.response?.text();
+
+    if (!text || text.trim() === '') {
+      console.error(`❌ [Gemini Vision] Empty response from API`);
+      console.error(`[Gemini Vision] Full result:`, JSON.stringify(result, null, 2));
+      return '';
+    }
+
+    console.log(`✅ [Gemini Vision] SUCCESS! ${text.length} chars`);
+    return text;
+  } catch (e) {
+    console.error(`❌ [Gemini Vision] Error:`, e.message);
+    console.error(`[Gemini Vision] Error details:`, e.stack);
+
+    // Fallback to text-only mode
+    console.log(`[Gemini Vision] 🔄 Fallback to text-only mode`);
+    return await callGemini(prompt, modelName, options);
+  }
+}
+
+async function callGemini(prompt, modelName = 'models/gemini-2.5-flash', options = {}) {
+  if (!genAI) {
+    console.error('❌ Gemini: genAI not initialized - check GOOGLE_AI_API_KEY');
+    return '';
+  }
+  const maxTokens = options.maxTokens || 8000;
+  const timeoutMs = options.timeoutMs || 18000;
+  const fallbackModels = (options.fallbackModels || ['models/gemini-2.0-flash', 'models/gemini-1.5-flash'])
+    .filter(m => m !== modelName);
+
+  try {
+    // ⚡ INSTANT RESPONSE: Ultra-optimized settings for speed
+    const model = genAI.getGenerativeModel({
+      model: modelName,
+      generationConfig: {
+        temperature: options.temperature ?? 0.7,  // More creative and natural like Gemini
+        maxOutputTokens: maxTokens,
+        topP: 0.9,  // More diverse responses
+        topK: 40,   // More choices for better quality
+      },
+    });
+
+    console.log(`[Gemini] 📤 Calling ${modelName} with ${prompt.length} chars...`);
+    const result = await withTimeout(
+      model.generateContent(prompt),
+      timeoutMs,
+      `Gemini API timeout after ${timeoutMs / 1000}s (model: ${modelName})`
+    );
+    reportGeminiUsage(options, modelName, result.response?.usageMetadata);
+    const text = result.response?.text();
+
+    if (!text || text.trim() === '') {
+      console.error(`❌ [${modelName}] Empty response from API`);
+      console.error(`[Gemini] Full result:`, JSON.stringify(result, null, 2));
+      // Try fallback
+      throw new Error('Empty response from primary model');
+    }
+
+    console.log(`✅ [Gemini] INSTANT! ${text.length} chars`);
+    return text;
+  } catch (e) {
+    console.error(`❌ [${modelName}] Error:`, e.message);
+    console.error(`[Gemini] Error details:`, e.stack);
+
+    // Quick fallback through older Flash models, with a shorter timeout each
+    for (const fallbackModel of fallbackModels) {
+      try {
+        console.log(`[Gemini] 🔄 Trying fallback: ${fallbackModel}`);
+        const model = genAI.getGenerativeModel({
+          model: fallbackModel,
+          generationConfig: {
+            temperature: options.temperature ?? 0.7,  // More creative and natural
+            maxOutputTokens: maxTokens,
+          },
+        });
+        const result = await withTimeout(
+          model.generateContent(prompt),
+          12000,
+          `Gemini fallback timeout after 12s (model: ${fallbackModel})`
+        );
+        reportGeminiUsage(options, fallbackModel, result.response?.usageMetadata);
+        const text = result.response?.text();
+        if (text && text.trim()) {
+          console.log(`✅ [${fallbackModel}] Fallback success! ${text.length} chars`);
+          return text;
+        }
+        console.error(`❌ [${fallbackModel}] Fallback also returned empty`);
+      } catch (fallbackErr) {
+        console.error(`❌ [${fallbackModel}] Fallback error:`, fallbackErr.message);
+      }
+    }
+
+    return '';
+  }
+}
+
+// ===== TOKEN STREAMING =====
+// Streaming calls emit text pieces through onDelta as the provider produces them
+// and resolve to the full text. Unlike the call* helpers they throw on failure,
+// so the chain can tell "failed before the first token" from "failed mid-answer".
+
+/// Abort signal that fires when no chunk arrives for timeoutMs (or the parent aborts)
+function createIdleAbort(timeoutMs, parentSignal) {
+  const controller = new AbortController();
+  let timer = null;
+  const touch = () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => controller.abort(new Error(`Stream idle timeout after ${timeoutMs / 1000}s`)), timeoutMs);
+  };
+  const onParentAbort = () => controller.abort(parentSignal.reason);
+  if (parentSignal) {
+    if (parentSignal.aborted) controller.abort(parentSignal.reason);
+    else parentSignal.addEventListener('abort', onParentAbort, { once: true });
+  }
+  touch();
+  return {
+    signal: controller.signal,
+    touch,
+    clear: () => {
+      clearTimeout(timer);
+      if (parentSignal) parentSignal.removeEventListener('abort', onParentAbort);
+    },
+  };
+}
+
+/// Parse an SSE response body, calling onData with each `data:` payload
+async function readSseData(body, onData) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    for (const line of lines) {
+      const trimmed = line.trim();
+      if (!trimmed.startsWith('data:')) continue;
+      const data = trimmed.slice(5).trim();
+      if (data === '[DONE]') return;
+      if (onData(data) === false) return;
+    }
+  }
+}
+
+async function streamGemini(prompt, modelName, options, onDelta) {
+  if (!genAI) throw new Error('Gemini: genAI not initialized - check GOOGLE_AI_API_KEY');
+
+  const timeoutMs = options.timeoutMs || 18000;
+  const models = [modelName, ...(options.fallbackModels || []).filter(m => m !== modelName)];
+  let lastError = null;
+
+  // Older Flash models are only tried while nothing has reached the client yet
+  for (const name of models) {
+    const model = genAI.getGenerativeModel({
+      model: name,
+      generationConfig: {
+        temperature: options.temperature ?? 0.7,
+        maxOutputTokens: options.maxTokens || 8000,
+        topP: 0.9,
+        topK: 40,
+      },
+    });
+    const idle = createIdleAbort(timeoutMs, options.signal);
+    let text = '';
+    let usage = null;
+    try {
+      console.log(`[Gemini] 📡 Streaming ${name} with ${prompt.length} chars...`);
+      const result = await model.generateContentStream(prompt, { signal: idle.signal });
+      for await (const chunk of result.stream) {
+        idle.touch();
+        if (chunk.usageMetadata) usage = chunk.usageMetadata;  // running totals, last one wins
+        const piece = chunk.text();
+        if (piece) {
+          text += piece;
+          onDelta(piece);
+        }
+      }
+      reportGeminiUsage(options, name, usage);
+      if (text.trim()) return text;
+      lastError = new Error(`Empty stream from ${name}`);
+    } catch (e) {
+      if (text || options.signal?.aborted) throw e;
+      console.error(`❌ [${name}] Stream error:`, e.message);
+      lastError = e;
+    } finally {
+      idle.clear();
+    }
+  }
+  throw lastError || new Error('Gemini stream failed');
+}
+
+async function streamOpenAI(messages, options, onDelta) {
+  if (!openai) throw new Error('OpenAI: Client not initialized - check OPENAI_API_KEY');
+
+  const model = options.model || 'gpt-4o-mini';
+  const idle = createIdleAbort(options.timeoutMs || 18000, options.signal);
+  let text = '';
+  try {
+    console.log(`📡 [OpenAI] Streaming ${model}, max_tokens: ${options.maxTokens}, messages: ${messages.length}`);
+    const stream = await openai.chat.completions.create({
+      model,
+      messages,
+      temperature: options.temperature ?? 0.7,
+      max_tokens: options.maxTokens || 500,
+      top_p: 0.9,
+      stream: true,
+      stream_options: { include_usage: true },
+    }, { signal: idle.signal });
+    for await (const chunk of stream) {
+      idle.touch();
+      reportChatUsage(options, model, chunk.usage);  // only the final chunk carries usage
+      const piece = chunk.choices?.[0]?.delta?.content;
+      if (piece) {
+        text += piece;
+        onDelta(piece);
+      }
+    }
+    return text;
+  } finally {
+    idle.clear();
+  }
+}
+
+async function streamGrok(messages, options, onDelta) {
+  const apiKey = xaiApiKey();
+  if (!apiKey) throw new Error('[Grok] XAI_API_KEY not found in environment');
+
+  const model = options.model || 'grok-4';
+  const idle = createIdleAbort(options.timeoutMs || 18000, options.signal);
+  let text = '';
+  try {
+    console.log(`📡 [Grok] Streaming ${model}, max_tokens: ${options.maxTokens}, history: ${messages.length}`);
+    const resp = await providerFetch('https://api.x.ai/v1/chat/completions', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${apiKey}`
+      },
+      body: JSON.stringify({
+        model,
+        messages,
+        temperature: options.temperature ?? 0.7,
+        max_tokens: options.maxTokens || 500,
+        top_p: 0.9,
+        stream: true,
+        stream_options: { include_usage: true },
+      }),
+      signal: idle.signal
+    });
+
+    if (!resp.ok) {
+      const errorText = await resp.text();
+      throw new Error(`Grok API error ${resp.status}: ${errorText.substring(0, 200)}`);
+    }
+
+    await readSseData(resp.body, (data) => {
+      idle.touch();
+      try {
+        const parsed = JSON.parse(data);
+        reportChatUsage(options, model, parsed.usage);
+        const piece = parsed.choices?.[0]?.delta?.content;
+        if (piece) {
+          text += piece;
+          onDelta(piece);
+        }
+      } catch (_) {
+        // Ignore keep-alive / malformed lines
+      }
+    });
+    return text;
+  } finally {
+    idle.clear();
+  }
+}
+
+// ===== ANTHROPIC CLAUDE =====
+// Messages API over fetch (no SDK dependency). The system prompt is a top-level
+// field and turns must alternate user/assistant, starting with a user turn.
+
+const ANTHROPIC_API_URL = 'https://api.anthropic.com/v1/messages';
+const ANTHROPIC_VERSION = '2023-06-01';
+const CLAUDE_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+
+/// Map our { systemPrompt, history, message, attachments } request to Anthropic's format
+function buildClaudeRequest(request, historyLimit) {
+  const { message, systemPrompt, attachments } = request;
+  const messages = [];
+  for (const turn of recentHistory(request, historyLimit)) {
+    const role = turn.role === 'assistant' ? 'assistant' : 'user';
+    if (!turn.content) continue;
+    const last = messages[messages.length - 1];
+    if (last && last.role === role) {
+      last.content += `\n\n${turn.content}`;  // merge same-role turns so roles alternate
+    } else {
+      messages.push({ role, content: turn.content });
+    }
+  }
+  while (messages.length && messages[0].role !== 'user') messages.shift();
+
+  // A trailing unanswered user turn is folded into this one to keep roles alternating
+  const pending = messages.length && messages[messages.length - 1].role === 'user' ? messages.pop().content : null;
+  const text = pending ? `${pending}\n\n${message}` : message;
+
+  // Images go in as base64 blocks (downloaded by attachments.js). Documents are already text
+  // in the message (documents.js), except scanned PDFs, which come as native file parts.
+  const content = [];
+  for (const attachment of attachments || []) {
+    if (!attachment.data) continue;
+    if (attachment.fileType === 'image' && CLAUDE_IMAGE_TYPES.includes(attachment.mimeType)) {
+      content.push({ type: 'image', source: { type: 'base64', media_type: attachment.mimeType, data: attachment.data } });
+    } else if (attachment.fileType === 'document') {
+      content.push({ type: 'document', source: { type: 'base64', media_type: attachment.mimeType, data: attachment.data } });
+    }
+  }
+  content.push({ type: 'text', text });
+  messages.push({ role: 'user', content: content.length === 1 ? text : content });
+
+  return { system: systemPrompt || undefined, messages };
+}
+
+function claudeHeaders(apiKey) {
+  return {
+    'Content-Type': 'application/json',
+    'x-api-key': apiKey,
+    'anthropic-version': ANTHROPIC_VERSION,
+  };
+}
+
+async function callClaude(request, options = {}) {
+  const apiKey = anthropicApiKey();
+  if (!apiKey) {
+    console.error('❌ [Claude] ANTHROPIC_API_KEY not found in environment');
+    return '';
+  }
+
+  const model = options.model || 'claude-haiku-4-5';
+  const maxTokens = options.maxTokens || 500;
+  const timeoutMs = options.timeoutMs || 18000;
+  try {
+    const { system, messages } = buildClaudeRequest(request, options.historyLimit || 5);
+    console.log(`⚡ [Claude] Calling ${model}, max_tokens: ${maxTokens}, messages: ${messages.length}`);
+
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), timeoutMs);
+    const resp = await providerFetch(ANTHROPIC_API_URL, {
+      method: 'POST',
+      headers: claudeHeaders(apiKey),
+      body: JSON.stringify({ model, system, messages, max_tokens: maxTokens, temperature: options.temperature ?? 0.7 }),
+      signal: controller.signal
+    }).finally(() => clearTimeout(timeout));
+
+    if (!resp.ok) {
+      const errorText = await resp.text();
+      console.error(`❌ [Claude] API error ${resp.status}:`, errorText.substring(0, 200));
+      return '';
+    }
+
+    const data = await resp.json();
+    reportUsage(options, model, data.usage?.input_tokens, data.usage?.output_tokens);
+    const result = (data.content || []).filter(b => b.type === 'text').map(b => b.text).join('');
+    if (!result.trim()) {
+      console.error('❌ [Claude] Empty response');
+      return '';
+    }
+    console.log(`✅ [Claude] ${result.length} chars`);
+    return result;
+  } catch (e) {
+    if (e.name === 'AbortError') {
+      console.error(`❌ [Claude] Timeout after ${timeoutMs / 1000}s`);
+    } else {
+      console.error('❌ [Claude] Error:', e.message);
+    }
+    return '';
+  }
+}
+
+async function streamClaude(request, options, onDelta) {
+  const apiKey = anthropicApiKey();
+  if (!apiKey) throw new Error('[Claude] ANTHROPIC_API_KEY not found in environment');
+
+  const model = options.model || 'claude-haiku-4-5';
+  const { system, messages } = buildClaudeRequest(request, options.historyLimit || 5);
+  const idle = createIdleAbort(options.timeoutMs || 18000, options.signal);
+  let text = '';
+  try {
+    console.log(`📡 [Claude] Streaming ${model}, max_tokens: ${options.maxTokens}, messages: ${messages.length}`);
+    const resp = await providerFetch(ANTHROPIC_API_URL, {
+      method: 'POST',
+      headers: claudeHeaders(apiKey),
+      body: JSON.stringify({
+        model,
+        system,
+        messages,
+        max_tokens: options.maxTokens || 500,
+        temperature: options.temperature ?? 0.7,
+        stream: true,
+      }),
+      signal: idle.signal
+    });
+
+    if (!resp.ok) {
+      const errorText = await resp.text();
+      throw new Error(`Claude API error ${resp.status}: ${errorText.substring(0, 200)}`);
+    }
+
+    let streamError = null;
+    let inputTokens = null;
+    let outputTokens = null;
+    await readSseData(resp.body, (data) => {
+      idle.touch();
+      let event;
+      try {
+        event = JSON.parse(data);
+      } catch (_) {
+        return;  // Ignore malformed lines
+      }
+      if (event.type === 'content_block_delta' && event.delta?.type === 'text_delta') {
+        text += event.delta.text;
+        onDelta(event.delta.text);
+      } else if (event.type === 'message_start') {
+        inputTokens = event.message?.usage?.input_tokens ?? null;
+      } else if (event.type === 'message_delta') {
+        outputTokens = event.usage?.output_tokens ?? outputTokens;
+      } else if (event.type === 'error') {
+        streamError = new Error(`Claude stream error: ${event.error?.message || 'unknown'}`);
+        return false;
+      } else if (event.type === 'message_stop') {
+        return false;
+      }
+    });
+    reportUsage(options, model, inputTokens, outputTokens);
+    if (streamError) throw streamError;
+    return text;
+  } finally {
+    idle.clear();
+  }
+}
+
+// ===== TOOL CALLING =====
+// selectTool* helpers send the tool schemas with tool_choice 'auto' and resolve to
+// { name, args } for the first tool call, or null when the model answered in text.
+// Like the streaming helpers they throw on failure so the chain can move on.
+
+function toOpenAITools(tools) {
+  return tools.map(({ name, description, parameters }) => ({
+    type: 'function',
+    function: { name, description, parameters },
+  }));
+}
+
+/// Gemini accepts an OpenAPI subset - drop the validation-only keywords
+function toGeminiSchema(schema) {
+  const { maxLength, minimum, pattern, ...rest } = schema;
+  if (rest.properties) {
+    rest.properties = Object.fromEntries(
+      Object.entries(rest.properties).map(([key, value]) => [key, toGeminiSchema(value)])
+    );
+  }
+  if (rest.items) rest.items = toGeminiSchema(rest.items);
+  if (Array.isArray(rest.required) && rest.required.length === 0) delete rest.required;
+  return rest;
+}
+
+function parseToolArguments(raw) {
+  try {
+    return typeof raw === 'string' ? JSON.parse(raw) : raw;
+  } catch (e) {
+    return null;  // fails validation downstream
+  }
+}
+
+async function selectToolOpenAI(messages, tools, options = {}) {
+  if (!openai) throw new Error('OpenAI client not initialized');
+  const model = options.model || 'gpt-4o-mini';
+  const resp = await withTimeout(
+    openai.chat.completions.create({
+      model,
+      messages,
+      tools: toOpenAITools(tools),
+      tool_choice: 'auto',
+      temperature: 0,
+      max_tokens: options.maxTokens || 200,
+    }),
+    options.timeoutMs || 18000,
+    `OpenAI tool call timeout after ${(options.timeoutMs || 18000) / 1000}s`
+  );
+  reportChatUsage(options, model, resp.usage);
+  const call = resp.choices?.[0]?.message?.tool_calls?.[0];
+  return call ? { name: call.function?.name, args: parseToolArguments(call.function?.arguments) } : null;
+}
+
+async function selectToolGrok(messages, tools, options = {}) {
+  const apiKey = xaiApiKey();
+  if (!apiKey) throw new Error('XAI_API_KEY not set');
+  const model = options.model || 'grok-4';
+  const timeoutMs = options.timeoutMs || 18000;
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), timeoutMs);
+
+  const resp = await providerFetch('https://api.x.ai/v1/chat/completions', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${apiKey}`
+    },
+    body: JSON.stringify({
+      model,
+      messages,
+      tools: toOpenAITools(tools),
+      tool_choice: 'auto',
+      temperature: 0,
+      max_tokens: options.maxTokens || 200,
+    }),
+    signal: controller.signal
+  }).finally(() => clearTimeout(timeout));
+
+  if (!resp.ok) throw new Error(`Grok API error ${resp.status}`);
+  const data = await resp.json();
+  reportChatUsage(options, model, data.usage);
+  const call = data.choices?.[0]?.message?.tool_calls?.[0];
+  return call ? { name: call.function?.name, args: parseToolArguments(call.function?.arguments) } : null;
+}
+
+async function selectToolClaude(request, tools, options = {}) {
+  const apiKey = anthropicApiKey();
+  if (!apiKey) throw new Error('ANTHROPIC_API_KEY not set');
+  const { system, messages } = buildClaudeRequest(request, options.historyLimit || 5);
+  const model = options.model || 'claude-haiku-4-5';
+  const timeoutMs = options.timeoutMs || 18000;
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), timeoutMs);
+
+  const resp = await providerFetch(ANTHROPIC_API_URL, {
+    method: 'POST',
+    headers: claudeHeaders(apiKey),
+    body: JSON.stringify({
+      model,
+      system,
+      messages,
+      tools: tools.map(({ name, description, parameters }) => ({ name, description, input_schema: parameters })),
+      tool_choice: { type: 'auto' },
+      temperature: 0,
+      max_tokens: options.maxTokens || 200,
+    }),
+    signal: controller.signal
+  }).finally(() => clearTimeout(timeout));
+
+  if (!resp.ok) throw new Error(`Claude API error ${resp.status}`);
+  const data = await resp.json();
+  reportUsage(options, model, data.usage?.input_tokens, data.usage?.output_tokens);
+  const call = (data.content || []).find(b => b.type === 'tool_use');
+  return call ? { name: call.name, args: call.input || {} } : null;
+}
+
+async function selectToolGemini(request, tools, options = {}) {
+  if (!genAI) throw new Error('Gemini client not initialized');
+  const modelName = options.model || 'models/gemini-2.5-flash';
+  const model = genAI.getGenerativeModel({
+    model: modelName,
+    systemInstruction: request.systemPrompt,
+    tools: [{
+      functionDeclarations: tools.map(({ name, description, parameters }) => ({
+        name,
+        description,
+        parameters: toGeminiSchema(parameters),
+      })),
+    }],
+    generationConfig: { temperature: 0, maxOutputTokens: options.maxTokens || 200 },
+  });
+  const result = await withTimeout(
+    model.generateContent(request.message),
+    options.timeoutMs || 18000,
+    `Gemini tool call timeout after ${(options.timeoutMs || 18000) / 1000}s`
+  );
+  reportGeminiUsage(options, modelName, result.response?.usageMetadata);
+  const call = result.response?.functionCalls?.()?.[0];
+  return call ? { name: call.name, args: call.args || {} } : null;
+}
+
+// ===== PROVIDER REGISTRY =====
+// A provider is { name, isConfigured(), generate(request, options), stream?(request, options, onDelta) }.
+//   request: { message, systemPrompt, history, historyBudgeted?, attachments, fast }
+//   options: resolved routing step { model, fallbackModels, timeoutMs, maxTokens, historyLimit, signal?, onUsage? }
+// onUsage({ model, promptTokens, completionTokens }) is called for every billed API call.
+// generate() resolves to the reply text, or '' when the provider failed.
+// stream() emits text pieces through onDelta, resolves to the full text and throws on failure.
+// Providers without stream() are still usable on the streaming path (one big delta).
+// selectTool?(request, tools, options) resolves to { name, args } or null and throws on failure;
+// providers without it are skipped by runToolChain().
+
+const providers = new Map();
+
+function registerProvider(provider) {
+  if (!provider || !provider.name || typeof provider.generate !== 'function') {
+    throw new Error('Provider must have a name and a generate() function');
+  }
+  providers.set(provider.name, provider);
+}
+
+function getProvider(name) {
+  return providers.get(name) || null;
+}
+
+function listProviders() {
+  return [...providers.values()].map(p => ({ name: p.name, configured: p.isConfigured() }));
+}
+
+registerProvider({
+  name: 'gemini',
+  isConfigured: () => !!genAI,
+  generate: (request, options) => {
+    const { message, systemPrompt, attachments } = request;
+    if (attachments && attachments.length > 0) {
+      return callGeminiWithAttachments(message, attachments, recentHistory(request, options.historyLimit || 2), systemPrompt, options);
+    }
+    return callGemini(buildGeminiPrompt(request, options.historyLimit), options.model, options);
+  },
+  stream: async (request, options, onDelta) => {
+    // Vision calls are not streamed - the inline image upload dominates latency anyway
+    if (request.attachments && request.attachments.length > 0) {
+      const { message, systemPrompt, attachments } = request;
+      const text = await callGeminiWithAttachments(message, attachments, recentHistory(request, options.historyLimit || 2), systemPrompt, options);
+      if (text) onDelta(text);
+      return text;
+    }
+    return streamGemini(buildGeminiPrompt(request, options.historyLimit), options.model, options, onDelta);
+  },
+  selectTool: (request, tools, options) => selectToolGemini(request, tools, options),
+});
+
+registerProvider({
+  name: 'openai',
+  isConfigured: () => !!openai,
+  generate: (request, options) => callOpenAI(buildChatMessages(request, options.historyLimit), options),
+  stream: (request, options, onDelta) => streamOpenAI(buildChatMessages(request, options.historyLimit), options, onDelta),
+  selectTool: (request, tools, options) => selectToolOpenAI(buildChatMessages(request, options.historyLimit), tools, options),
+});
+
+registerProvider({
+  name: 'grok',
+  isConfigured: () => !!xaiApiKey(),
+  generate: (request, options) => callGrok(buildChatMessages(request, options.historyLimit), options),
+  stream: (request, options, onDelta) => streamGrok(buildChatMessages(request, options.historyLimit), options, onDelta),
+  selectTool: (request, tools, options) => selectToolGrok(buildChatMessages(request, options.historyLimit), tools, options),
+});
+
+// Claude handles image attachments itself, so it works as a vision fallback too
+registerProvider({
+  name: 'claude',
+  isConfigured: () => !!anthropicApiKey(),
+  generate: (request, options) => callClaude(request, options),
+  stream: (request, options, onDelta) => streamClaude(request, options, onDelta),
+  selectTool: (request, tools, options) => selectToolClaude(request, tools, options),
+});
+
+/**
+ * Provider for a routing step, or null (with the reason logged) when it can't be
+ * used right now: unknown, not configured, or its circuit breaker is open.
+ */
+function usableProvider(step, label) {
+  const provider = getProvider(step.provider);
+  if (!provider) {
+    console.error(`[${label}] ✗ Unknown provider in routing table: ${step.provider}`);
+    return null;
+  }
+  if (!provider.isConfigured()) {
+    console.log(`[${label}] ⏭️ Skipping ${provider.name} (not configured)`);
+    return null;
+  }
+  if (!health.isAvailable(provider.name)) {
+    console.log(`[${label}] ⏭️ Skipping ${provider.name} (circuit open)`);
+    return null;
+  }
+  return provider;
+}
+
+/// Per-step usage callback: tags the chain's onUsage reports with the provider name
+function usageReporter(onUsage, provider) {
+  return onUsage ? (usage) => onUsage({ provider: provider.name, ...usage }) : undefined;
+}
+
+/// One generate() call, reported to the health tracker. Resolves to a chain result or null.
+async function generateStep(provider, step, request, label, onUsage) {
+  const hasAttachments = Array.isArray(request.attachments) && request.attachments.length > 0;
+  const options = {
+    ...resolveStepOptions(step, { message: request.message, fast: request.fast, hasAttachments }),
+    onUsage: usageReporter(onUsage, provider),
+  };
+  console.log(`[${label}] ⚡ Trying ${provider.name} (${options.model}, max_tokens: ${options.maxTokens})`);
+
+  const startedAt = Date.now();
+  let text = '';
+  let error = null;
+  try {
+    text = await provider.generate(request, options);
+  } catch (e) {
+    error = e;
+    console.error(`[${label}] ❌ ${provider.name} error:`, e.message);
+  }
+
+  if (text && text.trim()) {
+    health.recordSuccess(provider.name, Date.now() - startedAt);
+    console.log(`[${label}] ✅ ${provider.name} success: ${text.length} chars`);
+    return { text, provider: provider.name, model: options.model };
+  }
+  health.recordFailure(provider.name, error);
+  console.error(`[${label}] ❌ ${provider.name} returned empty result`);
+  return null;
+}
+
+/**
+ * Worst-case time a chain can take: the timeouts of its configured steps added up
+ * (steps the chain would skip for missing keys don't count)
+ */
+function chainBudgetMs(steps) {
+  return steps
+    .filter((step) => getProvider(step.provider)?.isConfigured())
+    .reduce((total, step) => total + resolveStepOptions(step).timeoutMs, 0);
+}
+
+/**
+ * Try each routing step in order until a provider returns non-empty text.
+ * With hedgeAfterMs, the next provider is started if the current one hasn't answered
+ * in that time and the first good reply wins (voice mode - trades tokens for latency).
+ * onUsage receives { provider, model, promptTokens, completionTokens } for every call made.
+ */
+async function runProviderChain(steps, request, label = 'AI', { hedgeAfterMs = 0, onUsage } = {}) {
+  if (hedgeAfterMs > 0) return runHedgedChain(steps, request, label, hedgeAfterMs, onUsage);
+
+  for (const step of steps) {
+    const provider = usableProvider(step, label);
+    if (!provider) continue;
+    const result = await generateStep(provider, step, request, label, onUsage);
+    if (result) return result;
+  }
+
+  return { text: '', provider: null, model: null };
+}
+
+function runHedgedChain(steps, request, label, hedgeAfterMs, onUsage) {
+  const empty = { text: '', provider: null, model: null };
+  let index = 0;
+  let running = 0;
+  let settled = false;
+  let timer = null;
+
+  return new Promise((resolve) => {
+    const finish = (result) => {
+      settled = true;
+      clearTimeout(timer);
+      resolve(result);
+    };
+
+    // Start the next usable provider; called on failure and when the hedge timer fires
+    const launchNext = () => {
+      clearTimeout(timer);
+      if (settled) return;
+      let provider = null;
+      let step = null;
+      while (!provider && index < steps.length) {
+        step = steps[index++];
+        provider = usableProvider(step, label);
+      }
+      if (!provider) {
+        if (running === 0) finish(empty);
+        return;
+      }
+
+      if (running > 0) console.log(`[${label}] 🏁 No reply after ${hedgeAfterMs}ms, hedging with ${provider.name}`);
+      running += 1;
+      generateStep(provider, step, request, label, onUsage).then((result) => {
+        running -= 1;
+        if (settled) {
+          if (result) console.log(`[${label}] 🗑️ Discarding late ${result.provider} reply (hedge lost)`);
+          return;
+        }
+        if (result) return finish(result);
+        launchNext();
+      });
+      if (index < steps.length) timer = setTimeout(launchNext, hedgeAfterMs);
+    };
+
+    launchNext();
+  });
+}
+
+/**
+ * Streaming variant of runProviderChain.
+ * Falls back to the next provider only if the current one fails before emitting
+ * anything - once text has reached the client we keep what was sent.
+ */
+async function runProviderChainStream(steps, request, onDelta, { label = 'AI', signal, onUsage } = {}) {
+  const hasAttachments = Array.isArray(request.attachments) && request.attachments.length > 0;
+
+  for (const step of steps) {
+    if (signal?.aborted) break;
+    const provider = usableProvider(step, label);
+    if (!provider) continue;
+
+    const options = {
+      ...resolveStepOptions(step, { message: request.message, fast: request.fast, hasAttachments }),
+      signal,
+      onUsage: usageReporter(onUsage, provider),
+    };
+    console.log(`[${label}] 📡 Streaming from ${provider.name} (${options.model}, max_tokens: ${options.maxTokens})`);
+
+    const startedAt = Date.now();
+    let streamed = '';
+    const forward = (piece) => {
+      streamed += piece;
+      onDelta(piece);
+    };
+
+    try {
+      let text;
+      if (typeof provider.stream === 'function') {
+        text = await provider.stream(request, options, forward);
+      } else {
+        text = await provider.generate(request, options);
+        if (text) forward(text);
+      }
+      if (text && text.trim()) {
+        health.recordSuccess(provider.name, Date.now() - startedAt);
+        console.log(`[${label}] ✅ ${provider.name} streamed ${text.length} chars`);
+        return { text, provider: provider.name, model: options.model };
+      }
+      health.recordFailure(provider.name, null);
+      console.error(`[${label}] ❌ ${provider.name} returned empty stream`);
+    } catch (e) {
+      if (signal?.aborted) {
+        // Client went away - says nothing about the provider
+        health.releaseTrial(provider.name);
+        if (streamed) return { text: streamed, provider: provider.name, model: options.model, incomplete: true };
+        break;
+      }
+      health.recordFailure(provider.name, e);
+      if (streamed) {
+        // Client already has part of this answer - don't splice in another provider's
+        console.error(`[${label}] ⚠️ ${provider.name} failed mid-stream after ${streamed.length} chars:`, e.message);
+        return { text: streamed, provider: provider.name, model: options.model, incomplete: true };
+      }
+      console.error(`[${label}] ❌ ${provider.name} stream error:`, e.message);
+    }
+  }
+
+  return { text: '', provider: null, model: null };
+}
+
+/**
+ * Ask each tool-capable provider in turn which tool (if any) the message needs.
+ * Resolves to { toolCall, provider } from the first provider that answered,
+ * or null when none could - callers then fall back to keyword rules.
+ */
+async function runToolChain(steps, request, tools, label = 'AI', { onUsage } = {}) {
+  for (const step of steps) {
+    const candidate = getProvider(step.provider);
+    if (!candidate || typeof candidate.selectTool !== 'function') continue;
+    const provider = usableProvider(step, label);
+    if (!provider) continue;
+
+    const options = { ...resolveStepOptions(step, { message: request.message }), onUsage: usageReporter(onUsage, provider) };
+    const startedAt = Date.now();
+    try {
+      const toolCall = await provider.selectTool(request, tools, options);
+      health.recordSuccess(provider.name, Date.now() - startedAt);
+      console.log(`[${label}] ✅ ${provider.name} picked ${toolCall ? toolCall.name : 'no tool'}`);
+      return { toolCall, provider: provider.name };
+    } catch (e) {
+      health.recordFailure(provider.name, e);
+      console.error(`[${label}] ❌ ${provider.name} tool call error:`, e.message);
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  registerProvider,
+  getProvider,
+  listProviders,
+  runProviderChain,
+  runProviderChainStream,
+  runToolChain,
+  chainBudgetMs,
+  callGemini,
+  callOpenAI,
+  callGrok,
+  callClaude,
+  callGeminiWithAttachments,
+  withTimeout,
+};
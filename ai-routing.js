@@ -0,0 +1,236 @@
+// AI routing table - which providers answer which mode/tier, in what order,
+// with which model, timeout and token budget.
+//
+// Both /ai/process paths (JSON and streaming) resolve their provider chain here,
+// so reordering or adding a provider is a config change, not a handler change.
+// Deployments can override any part with AI_ROUTING_CONFIG (JSON with any of
+// `budgets`, `routes`, `historyLimit`, `memoryBudgets`); top-level keys replace the defaults.
+
+// Token budgets: a number, or { short, medium, long } picked by input length
+const TOKEN_BUDGETS = {
+  compact: { short: 150, medium: 300, long: 500 },   // voice / quick replies
+  openai: { short: 500, medium: 1500, long: 3000 },
+  grok: { short: 2000, medium: 3000, long: 4000 },
+  claude: { short: 500, medium: 1500, long: 3000 },
+  geminiFast: 4000,
+  gemini: 8000,
+  summary: 1000,
+  extraction: 300,
+  tools: 200,
+  documentSummary: 300,
+};
+
+// Conversation memory per tier (approx. tokens, ~4 chars each):
+//   summaryTokens - size cap for the rolling summary of older turns
+//   recentTokens  - verbatim recent turns kept before older ones get summarized
+const MEMORY_BUDGETS = {
+  free: { summaryTokens: 150, recentTokens: 600 },
+  tier1: { summaryTokens: 300, recentTokens: 1200 },
+  tier2: { summaryTokens: 500, recentTokens: 2000 },
+  tier3: { summaryTokens: 800, recentTokens: 3000 },
+};
+
+// 18s per provider keeps a full fallback under the Vercel function limit
+const DEFAULT_TIMEOUT_MS = 18000;
+
+const GEMINI_STEP = {
+  provider: 'gemini',
+  model: 'models/gemini-2.5-flash',
+  visionModel: 'models/gemini-1.5-flash',
+  fallbackModels: ['models/gemini-2.0-flash', 'models/gemini-1.5-flash'],
+  timeoutMs: DEFAULT_TIMEOUT_MS,
+  budget: 'geminiFast',
+  historyLimit: 2,
+};
+
+const OPENAI_STEP = {
+  provider: 'openai',
+  model: 'gpt-4o-mini',
+  timeoutMs: DEFAULT_TIMEOUT_MS,
+  budget: 'compact',
+};
+
+const GROK_STEP = {
+  provider: 'grok',
+  model: 'grok-4',
+  timeoutMs: DEFAULT_TIMEOUT_MS,
+  budget: 'compact',
+};
+
+// Claude reads image attachments itself (no separate vision model needed).
+// Not in the default chains - a fourth 18s step would break the Vercel limit above;
+// put it anywhere in a chain through AI_ROUTING_CONFIG (e.g. { "provider": "claude" }).
+const CLAUDE_STEP = {
+  provider: 'claude',
+  model: 'claude-haiku-4-5',
+  timeoutMs: DEFAULT_TIMEOUT_MS,
+  budget: 'claude',
+};
+
+// Defaults for steps given by provider name only in AI_ROUTING_CONFIG
+const STEP_DEFAULTS = {
+  gemini: GEMINI_STEP,
+  openai: OPENAI_STEP,
+  grok: GROK_STEP,
+  claude: CLAUDE_STEP,
+};
+
+// Night mode honours the client's `fast` flag; normal replies get the full budget
+const NIGHT_STEPS = [
+  { ...GROK_STEP, budget: 'grok', fastBudget: 'compact' },
+  { ...OPENAI_STEP, budget: 'openai', fastBudget: 'compact' },
+];
+
+// routes[mode][tier] -> { steps, lockedMessage? }
+// Unknown modes use routes.default, unknown tiers use the mode's `default` entry.
+const ROUTES = {
+  default: {
+    // Fastest first: Gemini Flash > OpenAI > Grok as last resort
+    default: { steps: [GEMINI_STEP, OPENAI_STEP, GROK_STEP] },
+  },
+  night: {
+    tier2: { steps: NIGHT_STEPS },
+    tier3: { steps: NIGHT_STEPS },
+    default: {
+      steps: [],
+      lockedMessage: 'Night mode is only available for Premium (Tier 2+) subscribers. Please upgrade.',
+    },
+  },
+  // Internal: rolling conversation summaries (conversation-memory.js)
+  summary: {
+    default: {
+      steps: [
+        { ...GEMINI_STEP, budget: 'summary' },
+        { ...OPENAI_STEP, budget: 'summary' },
+      ],
+    },
+  },
+  // Internal: tool selection for intents (ai-tools.js). OpenAI first - most reliable
+  // tool caller; short timeouts since the reply itself still has to be generated.
+  tools: {
+    default: {
+      steps: [
+        { ...OPENAI_STEP, budget: 'tools', timeoutMs: 6000 },
+        { ...GEMINI_STEP, budget: 'tools', timeoutMs: 6000 },
+      ],
+    },
+  },
+  // Internal: personal fact extraction (memories.js)
+  memory: {
+    default: {
+      steps: [
+        { ...GEMINI_STEP, budget: 'extraction' },
+        { ...OPENAI_STEP, budget: 'extraction' },
+      ],
+    },
+  },
+  // Internal: summaries of large document attachments, one call per chunk (documents.js)
+  documents: {
+    default: {
+      steps: [
+        { ...GEMINI_STEP, budget: 'documentSummary' },
+        { ...OPENAI_STEP, budget: 'documentSummary' },
+      ],
+    },
+  },
+};
+
+const DEFAULT_CONFIG = {
+  budgets: TOKEN_BUDGETS,
+  routes: ROUTES,
+  historyLimit: 5,
+  memoryBudgets: MEMORY_BUDGETS,
+  // Voice replies: start the next provider if the first hasn't answered by then (0 = off)
+  voiceHedgeAfterMs: 2500,
+};
+
+let cachedConfig = null;
+
+function getRoutingConfig() {
+  if (cachedConfig) return cachedConfig;
+  let overrides = {};
+  if (process.env.AI_ROUTING_CONFIG) {
+    try {
+      overrides = JSON.parse(process.env.AI_ROUTING_CONFIG);
+    } catch (e) {
+      console.error('[AIRouting] Invalid AI_ROUTING_CONFIG, using defaults:', e.message);
+    }
+  }
+  cachedConfig = {
+    budgets: { ...DEFAULT_CONFIG.budgets, ...(overrides.budgets || {}) },
+    routes: { ...DEFAULT_CONFIG.routes, ...(overrides.routes || {}) },
+    historyLimit: overrides.historyLimit || DEFAULT_CONFIG.historyLimit,
+    memoryBudgets: { ...DEFAULT_CONFIG.memoryBudgets, ...(overrides.memoryBudgets || {}) },
+    voiceHedgeAfterMs: overrides.voiceHedgeAfterMs ?? DEFAULT_CONFIG.voiceHedgeAfterMs,
+  };
+  return cachedConfig;
+}
+
+/**
+ * Fill in a step's defaults from its provider (steps may give just { provider })
+ */
+function resolveStep(step) {
+  return { ...STEP_DEFAULTS[step.provider], ...step };
+}
+
+/**
+ * Resolve the provider chain for a mode + tier
+ */
+function resolveRoute(mode, tier) {
+  const { routes } = getRoutingConfig();
+  const byTier = routes[mode] || routes.default;
+  const route = byTier[tier] || byTier.default || routes.default.default;
+  return {
+    steps: (route.steps || []).map(resolveStep),
+    lockedMessage: route.lockedMessage || null,
+  };
+}
+
+/**
+ * Pick max tokens from a named budget based on input length
+ */
+function resolveMaxTokens(budgetName, inputLength) {
+  const { budgets } = getRoutingConfig();
+  const budget = budgets[budgetName];
+  if (budget == null) return budgets.compact.long;
+  if (typeof budget === 'number') return budget;
+  if (inputLength < 50) return budget.short;
+  if (inputLength < 200) return budget.medium;
+  return budget.long;
+}
+
+/**
+ * Conversation memory budget for a tier (unknown tiers get the free budget)
+ */
+function resolveMemoryBudget(tier) {
+  const { memoryBudgets } = getRoutingConfig();
+  return memoryBudgets[tier] || memoryBudgets.free;
+}
+
+/**
+ * Turn a routing step into concrete call options for one request.
+ * A fixed step.maxTokens (experiments.js) wins over the named budget; step.temperature
+ * (regenerated replies) over the provider's default.
+ */
+function resolveStepOptions(step, { message = '', fast = false, hasAttachments = false } = {}) {
+  const budgetName = fast && step.fastBudget ? step.fastBudget : step.budget;
+  return {
+    model: hasAttachments && step.visionModel ? step.visionModel : step.model,
+    fallbackModels: step.fallbackModels || [],
+    timeoutMs: step.timeoutMs || DEFAULT_TIMEOUT_MS,
+    maxTokens: step.maxTokens || resolveMaxTokens(budgetName, message.length),
+    historyLimit: step.historyLimit || getRoutingConfig().historyLimit,
+    temperature: step.temperature,  // undefined = the provider's default
+  };
+}
+
+module.exports = {
+  getRoutingConfig,
+  resolveRoute,
+  resolveStep,
+  resolveMaxTokens,
+  resolveMemoryBudget,
+  resolveStepOptions,
+  TOKEN_BUDGETS,
+  DEFAULT_TIMEOUT_MS,
+};
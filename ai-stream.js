@@ -0,0 +1,108 @@
+const crypto = require('crypto');
+
+// Stream writers for /ai/process with X-Stream.
+//
+// SSE protocol (Accept: text/event-stream, or body.streamFormat === 'sse'):
+//   event: delta   data: { streamId, text }
+//   event: action  data: { streamId, action, intent?, pendingAction?, memoryId?, candidates?, undone? }
+//   event: quota   data: { streamId, quota }
+//   event: error   data: { streamId, error, message }
+//   event: done    data: { streamId, provider, length, incomplete, messageId?, attachmentErrors? }
+//   `: ping` comments every HEARTBEAT_MS keep proxies from closing idle streams.
+// Every event carries an incrementing `id:` so clients can spot gaps.
+//
+// Legacy plain-text mode (old app builds): raw text, then one trailing line of
+// JSON `{ action, quota, messageId }` after a newline (plus intent details when an intent ran).
+
+const HEARTBEAT_MS = 15000;
+
+function wantsSse(req) {
+  const accept = String(req.headers.accept || '');
+  return accept.includes('text/event-stream') || req.body?.streamFormat === 'sse';
+}
+
+function createSseWriter(res, streamId) {
+  let seq = 0;
+  let closed = false;
+
+  res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.setHeader('X-Stream-Id', streamId);
+  res.flushHeaders();
+
+  const heartbeat = setInterval(() => {
+    if (!closed) res.write(': ping\n\n');
+  }, HEARTBEAT_MS);
+  res.on('close', () => {
+    closed = true;
+    clearInterval(heartbeat);
+  });
+
+  const send = (event, payload) => {
+    if (closed) return;
+    seq += 1;
+    res.write(`id: ${seq}\nevent: ${event}\ndata: ${JSON.stringify({ streamId, ...payload })}\n\n`);
+  };
+
+  return {
+    format: 'sse',
+    streamId,
+    delta: (text) => send('delta', { text }),
+    action: (action, meta = {}) => { if (action || meta.intent) send('action', { action, ...meta }); },
+    quota: (quota) => { if (quota) send('quota', { quota }); },
+    error: (error, message) => send('error', { error, message }),
+    done: (meta = {}) => {
+      send('done', meta);
+      closed = true;
+      clearInterval(heartbeat);
+      res.end();
+    },
+  };
+}
+
+function createLegacyWriter(res, streamId) {
+  let action = null;
+  let actionMeta = {};
+  let quota = null;
+  let length = 0;
+
+  res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.setHeader('X-Stream-Id', streamId);
+  res.flushHeaders();
+
+  return {
+    format: 'text',
+    streamId,
+    delta: (text) => {
+      length += text.length;
+      res.write(text);
+    },
+    action: (a, meta = {}) => {
+      action = a || null;
+      actionMeta = meta;
+    },
+    quota: (q) => { quota = q || null; },
+    // Old builds have no error channel - they just see an empty body
+    error: () => {},
+    done: (meta = {}) => {
+      if (length === 0) return res.end('');
+      // Final metadata trailer
+      res.write(`\n` + JSON.stringify({ action, quota, ...actionMeta, messageId: meta.messageId }));
+      res.end();
+    },
+  };
+}
+
+/**
+ * Pick the stream writer the client asked for and send headers immediately
+ */
+function createStreamWriter(req, res) {
+  const streamId = crypto.randomUUID();
+  return wantsSse(req) ? createSseWriter(res, streamId) : createLegacyWriter(res, streamId);
+}
+
+module.exports = { createStreamWriter, wantsSse, HEARTBEAT_MS };
@@ -0,0 +1,165 @@
+const { runToolChain } = require('./ai-providers');
+const { resolveRoute } = require('./ai-routing');
+
+// Tools the assistant can call instead of replying in text.
+//
+// Schemas are plain JSON Schema (the subset OpenAI, Grok and Gemini all accept).
+// Whatever a provider returns is checked with validateToolCall() before any
+// handler runs - model output is never written to Firestore unvalidated.
+
+const TOOLS = [
+  {
+    name: 'create_schedule',
+    description: 'Add a meeting, reminder, appointment or event to the user\'s calendar. Only when the user asks to schedule or be reminded of something.',
+    parameters: {
+      type: 'object',
+      properties: {
+        title: { type: 'string', description: 'Short title, e.g. "Meeting with Rahul"', maxLength: 120 },
+        datetime: { type: 'string', format: 'date-time', description: 'Start time as ISO 8601' },
+        note: { type: 'string', description: 'Extra details', maxLength: 500 },
+      },
+      required: ['title', 'datetime'],
+    },
+  },
+  {
+    name: 'create_google_meet',
+    description: 'Schedule a Google Meet / video call with other people.',
+    parameters: {
+      type: 'object',
+      properties: {
+        title: { type: 'string', maxLength: 120 },
+        datetime: { type: 'string', format: 'date-time', description: 'Start time as ISO 8601' },
+        attendees: { type: 'array', items: { type: 'string' }, description: 'Names of the people invited' },
+        description: { type: 'string', maxLength: 500 },
+      },
+      required: ['title', 'datetime'],
+    },
+  },
+  {
+    name: 'add_expense',
+    description: 'Record money the user spent. Only when they state an amount they paid or spent.',
+    parameters: {
+      type: 'object',
+      properties: {
+        amount: { type: 'number', minimum: 0.01, description: 'Amount in rupees' },
+        category: { type: 'string', enum: ['personal', 'company'] },
+        note: { type: 'string', description: 'What the money was spent on', maxLength: 200 },
+      },
+      required: ['amount'],
+    },
+  },
+  {
+    name: 'make_call',
+    description: 'Place a phone call to a contact or number right now.',
+    parameters: {
+      type: 'object',
+      properties: {
+        contact: { type: 'string', description: 'Contact name as the user said it', maxLength: 80 },
+        phone: { type: 'string', pattern: '^\\+?[0-9\\s\\-()]{6,20}$' },
+      },
+      required: [],
+    },
+    requireOneOf: ['contact', 'phone'],
+  },
+  {
+    name: 'send_sms',
+    description: 'Send a text message (SMS) to a contact or number.',
+    parameters: {
+      type: 'object',
+      properties: {
+        contact: { type: 'string', maxLength: 80 },
+        phone: { type: 'string', pattern: '^\\+?[0-9\\s\\-()]{6,20}$' },
+        message: { type: 'string', description: 'Text to send', maxLength: 500 },
+      },
+      required: [],
+    },
+    requireOneOf: ['contact', 'phone'],
+  },
+];
+
+function checkValue(value, schema) {
+  switch (schema.type) {
+    case 'string': {
+      if (typeof value !== 'string' && typeof value !== 'number') return { error: 'must be a string' };
+      const str = String(value).trim();
+      if (!str) return { error: 'must not be empty' };
+      if (schema.enum && !schema.enum.includes(str)) return { error: `must be one of ${schema.enum.join(', ')}` };
+      if (schema.pattern && !new RegExp(schema.pattern).test(str)) return { error: 'has an invalid format' };
+      if (schema.format === 'date-time') {
+        const ms = Date.parse(str);
+        if (Number.isNaN(ms)) return { error: 'must be an ISO 8601 date-time' };
+        return { value: new Date(ms).toISOString() };
+      }
+      return { value: schema.maxLength ? str.substring(0, schema.maxLength) : str };
+    }
+    case 'number': {
+      const num = typeof value === 'string' ? Number(value.replace(/[,\s]/g, '')) : value;
+      if (typeof num !== 'number' || !Number.isFinite(num)) return { error: 'must be a number' };
+      if (schema.minimum != null && num < schema.minimum) return { error: `must be at least ${schema.minimum}` };
+      return { value: num };
+    }
+    case 'array': {
+      if (!Array.isArray(value)) return { error: 'must be an array' };
+      return { value: value.filter((v) => typeof v === 'string' && v.trim()).map((v) => v.trim()) };
+    }
+    default:
+      return { value };
+  }
+}
+
+/**
+ * Check a provider's tool call against its schema.
+ * Resolves to { valid, name, args, errors } - args only holds known, coerced fields.
+ */
+function validateToolCall(call) {
+  const tool = TOOLS.find((t) => t.name === call?.name);
+  if (!tool) return { valid: false, name: call?.name, args: {}, errors: [`unknown tool ${call?.name}`] };
+
+  const input = call.args && typeof call.args === 'object' ? call.args : {};
+  const { properties, required = [] } = tool.parameters;
+  const args = {};
+  const errors = [];
+
+  for (const [key, schema] of Object.entries(properties)) {
+    const value = input[key];
+    if (value == null || value === '') {
+      if (required.includes(key)) errors.push(`${key} is required`);
+      continue;
+    }
+    const checked = checkValue(value, schema);
+    if (checked.error) errors.push(`${key} ${checked.error}`);
+    else args[key] = checked.value;
+  }
+  if (tool.requireOneOf && !tool.requireOneOf.some((k) => args[k])) {
+    errors.push(`one of ${tool.requireOneOf.join(', ')} is required`);
+  }
+
+  return { valid: errors.length === 0, name: tool.name, args, errors };
+}
+
+// Cheap pre-filter so the routing call (up to two providers) only runs for messages that
+// could be a tool request - everything else goes straight to the reply. Kept broad on purpose:
+// a false positive costs one routing call, a false negative turns a request into chat.
+const TOOL_HINT = /\b(schedul\w*|remind\w*|reminder|calend[ae]r|meeting|meet|appointment|event|video\s+call|book|set|add|create|lagao|krdo|karna|yaad\s+dila\w*|spen[dt]|expenses?|paid|pay|bought|kharch\w*|rs|rupees?|call|phone|dial|ring|sms|text|message|msg|bhej\w*)\b|₹|मीटिंग|बजे|खर्च|दिया|कॉल|फोन|मैसेज/i;
+
+/// Whether the message might ask for a tool action (see TOOL_HINT)
+function mightNeedTool(message) {
+  return TOOL_HINT.test(message || '');
+}
+
+/**
+ * Ask a tool-capable provider whether this message needs a tool.
+ * Resolves to:
+ *   null                          - no provider could answer (use the keyword rules)
+ *   { toolCall: null }            - normal chat message
+ *   { toolCall: { name, args } }  - unvalidated call, see validateToolCall()
+ */
+async function detectToolCall(message, tier, { onUsage } = {}) {
+  const systemPrompt = `You route messages for a personal assistant app. Call a tool only when the user clearly asks for that action; for anything else (questions, stories, chit-chat, cooking, past events) do not call a tool.
+Current date and time: ${new Date().toISOString()}. Resolve relative dates (today, tomorrow, kal, parso) to ISO 8601.`;
+
+  const steps = resolveRoute('tools', tier).steps;
+  return runToolChain(steps, { message, systemPrompt, history: [] }, TOOLS, 'Tools', { onUsage });
+}
+
+module.exports = { TOOLS, validateToolCall, detectToolCall, mightNeedTool };
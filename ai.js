@@ -1,441 +1,106 @@
 const admin = require('firebase-admin');
-const { OpenAI } = require('openai');
-// Node 20+ has native fetch, no need for node-fetch
-const { GoogleGenerativeAI } = require('@google/generative-ai');
 const { ok } = require('./utils');
+const { runProviderChain, runProviderChainStream, chainBudgetMs, callGemini, callOpenAI } = require('./ai-providers');
+const { resolveRoute, getRoutingConfig, resolveMaxTokens } = require('./ai-routing');
+const { createStreamWriter } = require('./ai-stream');
+const { appendExchange, replaceLastReply } = require('./conversations');
+const { loadConversationContext, updateSummary, withConversationSummary } = require('./conversation-memory');
+const { handleMemoryCommand, getRelevantMemories, withUserMemories, extractMemories, isPersonalMessage } = require('./memories');
+const { detectToolCall, validateToolCall, mightNeedTool } = require('./ai-tools');
+const { createPendingAction, formatDateTime } = require('./pending-actions');
+const { recordOperation, handleUndoCommand } = require('./action-log');
+const { wantsAssistant, runAssistantTurn, recordFallbackReply } = require('./openai-assistant');
 const { checkMessageLimit, incrementMessageCount, getRemainingQuota } = require('./usage-limits');
+const { usageRecorder } = require('./usage-ledger');
+const { renderModePrompt, withPersona } = require('./prompts');
+const { loadPersona } = require('./personas');
+const { assignVariant, applyVariant } = require('./experiments');
+const { isUserDataQuestion, loadFinanceContext, withFinanceContext } = require('./finance-context');
+const { prepareAttachments } = require('./attachments');
+const { isResponseCacheEnabled, responseCacheKey, getCachedResponse, cacheResponse } = require('./response-cache');
 
 // Lazy Firestore access - don't initialize at module load
 function getDb() {
   return admin.firestore();
 }
 
+function aiLogsRef(uid) {
+  return getDb().collection('users').doc(uid).collection('ai_logs');
+}
+
 const GOOGLE_AI_API_KEY = process.env.GOOGLE_AI_API_KEY || process.env.GOOGLE_AP_API_KEY;
 const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
-const openai = OPENAI_API_KEY ? new OpenAI({ apiKey: OPENAI_API_KEY, timeout: 20000 }) : null;
-const genAI = GOOGLE_AI_API_KEY ? new GoogleGenerativeAI(GOOGLE_AI_API_KEY) : null;
-
-// Helper function to add timeout to any promise
-function withTimeout(promise, timeoutMs, errorMessage = 'Operation timed out') {
-  return Promise.race([
-    promise,
-    new Promise((_, reject) => 
-      setTimeout(() => reject(new Error(errorMessage)), timeoutMs)
-    )
-  ]);
-}
 
-async function callOpenAI(prompt, history = [], fast = false) {
-  if (process.env.MOCK_AI === 'true') {
-    return `Mock response: ${prompt.slice(0, 60)}...`;
-  }
-  if (!openai) {
-    console.error('OpenAI: Client not initialized - check OPENAI_API_KEY');
-    return '';
-  }
-  try {
-    // Use more history for better context (like ChatGPT/Gemini)
-    const messages = history.length > 0 ? history.slice(-5) : [{ role: 'user', content: prompt }];
-    
-    // ⚡ SMART TOKEN LIMITING: Base max_tokens on input length and fast mode
-    const inputLength = prompt.length;
-    let calculatedMaxTokens;
-    if (fast) {
-      // Fast mode: shorter responses
-      if (inputLength < 50) {
-        calculatedMaxTokens = 150; // Very short responses
-      } else if (inputLength < 200) {
-        calculatedMaxTokens = 300; // Medium responses
-      } else {
-        calculatedMaxTokens = 500; // Longer responses
-      }
-    } else {
-      // Normal mode: allow comprehensive answers but still limit based on input
-      if (inputLength < 50) {
-        calculatedMaxTokens = 500; // Short question can have detailed answer
-      } else if (inputLength < 200) {
-        calculatedMaxTokens = 1500; // Medium question = medium answer
-      } else {
-        calculatedMaxTokens = 3000; // Long question = longer answer
-      }
-    }
-    
-    console.log(`⚡ [OpenAI] Using max_tokens: ${calculatedMaxTokens}, input_length: ${inputLength}, fast: ${fast}`);
-    // Add timeout: 18 seconds max per call (to prevent Vercel 30s timeout)
-    const resp = await withTimeout(
-      openai.chat.completions.create({
-        model: 'gpt-4o-mini', // Fast model
-        messages: messages,
-        temperature: 0.7,  // More creative and natural
-        max_tokens: calculatedMaxTokens,
-        top_p: 0.9,  // More diverse responses
-      }),
-      18000,
-      'OpenAI API timeout after 18s'
-    );
-    return resp.choices?.[0]?.message?.content || '';
-  } catch (e) {
-    console.error('OpenAI API error:', e.message || e);
-    const msg = e?.message || '';
-    if (msg.includes('429') || msg.includes('quota')) {
-      console.error('❌ OpenAI: Rate limited or insufficient quota');
-    }
-    return '';
-  }
+/// Token/cost ledger callback for this request's provider calls on a route
+function usageFor(req, route, tier) {
+  const { mode, tierLevel } = req.body || {};
+  return usageRecorder(req.userId, { route, mode, tier: tier || tierLevel });
 }
 
-async function callGrok(prompt, conversationHistory = [], fast = false) {
-  const apiKey = process.env.XAI_API_KEY;
-  
-  if (!apiKey) {
-    console.error('❌ [Grok] XAI_API_KEY not found in environment');
-    return '';
-  }
-  
-  try {
-    // Use more history for better context (like ChatGPT/Gemini)
-    let messages = [];
-    if (conversationHistory && conversationHistory.length > 0) {
-      // ⚡ OPTIMIZATION: Keep last 5 messages for faster responses
-      messages = conversationHistory.slice(-5);
-    } else {
-      messages = [{ role: 'user', content: prompt }];
-    }
-    
-    // ⚡ SMART TOKEN LIMITING: Base max_tokens on input length and fast mode
-    const inputLength = prompt.length;
-    let calculatedMaxTokens;
-    if (fast) {
-      // Fast mode: shorter responses
-      if (inputLength < 50) {
-        calculatedMaxTokens = 150; // Very short responses
-      } else if (inputLength < 200) {
-        calculatedMaxTokens = 300; // Medium responses
-      } else {
-        calculatedMaxTokens = 500; // Longer responses
-      }
-    } else {
-      // Normal mode: allow comprehensive answers but still limit based on input
-      if (inputLength < 50) {
-        calculatedMaxTokens = 2000; // Short question can have detailed answer
-      } else if (inputLength < 200) {
-        calculatedMaxTokens = 3000; // Medium question = medium answer
-      } else {
-        calculatedMaxTokens = 4000; // Long question = longer answer
-      }
-    }
-    
-    console.log(`⚡ [Grok] Calling API with model: grok-4, max_tokens: ${calculatedMaxTokens}, input_length: ${inputLength}, fast: ${fast}, history: ${messages.length}`);
-    
-    const controller = new AbortController();
-    const timeout = setTimeout(() => controller.abort(), 18000); // 18s timeout (to prevent Vercel 30s timeout)
-    
-    const resp = await fetch('https://api.x.ai/v1/chat/completions', {
-      method: 'POST',
-      headers: { 
-        'Content-Type': 'application/json', 
-        'Authorization': `Bearer ${apiKey}` 
-      },
-      body: JSON.stringify({ 
-        model: 'grok-4', 
-        messages: messages,
-        temperature: 0.7,  // More creative and natural
-        max_tokens: calculatedMaxTokens,  // Smart token limiting
-        top_p: 0.9,  // More diverse responses
-        stream: false,  // Non-streaming is faster for short responses
-      }),
-      signal: controller.signal
-    });
-    
-    clearTimeout(timeout);
-    
-    if (!resp.ok) {
-      const errorText = await resp.text();
-      console.error(`❌ [Grok] API error ${resp.status}:`, errorText.substring(0, 200));
-      return '';
-    }
-    
-    const data = await resp.json();
-    const result = data.choices?.[0]?.message?.content || '';
-    
-    if (!result || result.trim() === '') {
-      console.error('❌ [Grok] Empty response');
-      return '';
-    }
-    
-    console.log(`✅ [Grok] INSTANT! ${result.length} chars`);
-    return result;
-  } catch (e) {
-    if (e.name === 'AbortError') {
-      console.error('❌ [Grok] Timeout after 6s');
-    } else {
-      console.error(`❌ [Grok] Error:`, e.message);
-    }
-    return '';
-  }
-}
-
-/// Call Gemini with image/file attachments (Vision API)
-async function callGeminiWithAttachments(prompt, attachments, history, systemPrompt, fast = false) {
-  if (process.env.MOCK_AI === 'true') {
-    return `Mock (Gemini Vision) response: ${prompt.slice(0, 60)}...`;
-  }
-  if (!genAI) {
-    console.error('❌ Gemini: genAI not initialized - check GOOGLE_AI_API_KEY');
-    return '';
-  }
-  
-  try {
-    // Use Gemini 1.5 Flash or Pro for vision (2.5 Flash may not support vision yet)
-    const modelName = 'models/gemini-1.5-flash';
-    console.log(`[Gemini Vision] 🖼️ Using ${modelName} for image analysis`);
-    
-    const model = genAI.getGenerativeModel({ 
-      model: modelName,
-      generationConfig: {
-        temperature: 0.7,  // More creative and natural
-        maxOutputTokens: fast ? 4000 : 8000,  // Much higher for complete responses
-        topP: 0.9,  // More diverse responses
-        topK: 40,   // More choices for better quality
-      },
-    });
-    
-    // Build content array with text and images
-    const parts = [];
-    
-    // Add system prompt and conversation context
-    const contextPrompt = systemPrompt 
-      ? `${systemPrompt}\n\nRecent conversation:\n${history.slice(-2).map(h => `${h.role}: ${h.content}`).join('\n')}\n\nUser prompt: ${prompt}`
-      : `Recent conversation:\n${history.slice(-2).map(h => `${h.role}: ${h.content}`).join('\n')}\n\nUser prompt: ${prompt}`;
-    
-    parts.push({ text: contextPrompt });
-    
-    // Add images from attachments
-    for (const attachment of attachments) {
-      if (attachment.fileType === 'image' && attachment.url) {
-        console.log(`[Gemini Vision] 📷 Adding image: ${attachment.fileName}`);
-        
-        try {
-          // Fetch image from URL
-          const imageResponse = await fetch(attachment.url);
-          if (!imageResponse.ok) {
-            console.error(`❌ [Gemini Vision] Failed to fetch image: ${attachment.url}`);
-            continue;
-          }
-          
-          // Convert to base64
-          const imageBuffer = await imageResponse.arrayBuffer();
-          const imageBase64 = Buffer.from(imageBuffer).toString('base64');
-          const mimeType = imageResponse.headers.get('content-type') || 'image/jpeg';
-          
-          // Add image to parts
-          parts.push({
-            inlineData: {
-              data: imageBase64,
-              mimeType: mimeType,
-            }
-          });
-          
-          console.log(`✅ [Gemini Vision] Image added: ${attachment.fileName} (${mimeType})`);
-        } catch (imgErr) {
-          console.error(`❌ [Gemini Vision] Error processing image ${attachment.fileName}:`, imgErr.message);
-          // Continue with other images
-        }
-      } else if (attachment.fileType === 'document' && attachment.url) {
-        // For documents, add description to prompt
-        console.log(`[Gemini Vision] 📄 Document detected: ${attachment.fileName}`);
-        parts.push({ 
-          text: `\n\n[Document attached: ${attachment.fileName} - URL: ${attachment.url}. Please analyze this document based on the user's prompt.]` 
-        });
-      }
-    }
-    
-    if (parts.length === 1) {
-      // No images were added, fall back to text-only
-      console.log('[Gemini Vision] ⚠️ No images processed, using text-only mode');
-      return await callGemini(prompt, modelName, fast);
-    }
-    
-    console.log(`[Gemini Vision] 📤 Sending ${parts.length - 1} image(s) with prompt...`);
-    
-    // Generate content with images - Gemini API accepts parts directly
-    // Add timeout: 18 seconds max per call (to prevent Vercel 30s timeout)
-    const result = await withTimeout(
-      model.generateContent(parts),
-      18000,
-      'Gemini Vision API timeout after 18s'
-    );
-    const text = result.response?.text();
-    
-    if (!text || text.trim() === '') {
-      console.error(`❌ [Gemini Vision] Empty response from API`);
-      console.error(`[Gemini Vision] Full result:`, JSON.stringify(result, null, 2));
-      return '';
-    }
-    
-    console.log(`✅ [Gemini Vision] SUCCESS! ${text.length} chars`);
-    return text;
-  } catch (e) {
-    console.error(`❌ [Gemini Vision] Error:`, e.message);
-    console.error(`[Gemini Vision] Error details:`, e.stack);
-    
-    // Fallback to text-only mode
-    console.log(`[Gemini Vision] 🔄 Fallback to text-only mode`);
-    return await callGemini(prompt, 'models/gemini-1.5-flash', fast);
-  }
-}
+// Intent handlers return a result object ({ response, action, ... }) rather than
+// writing to `res`, so both the JSON and streaming paths can deliver it.
+// They resolve to null when the intent couldn't be handled and the message
+// should go to the AI instead.
+// `args` are validated tool-call arguments (ai-tools.js); without them the
+// handlers parse the raw message themselves (offline / keyword fallback).
 
-async function callGemini(prompt, modelName = 'models/gemini-2.5-flash', fast = false) {
-  if (process.env.MOCK_AI === 'true') {
-    return `Mock (Gemini) response: ${prompt.slice(0, 60)}...`;
-  }
-  if (!genAI) {
-    console.error('❌ Gemini: genAI not initialized - check GOOGLE_AI_API_KEY');
-    return '';
-  }
-  try {
-    // ⚡ INSTANT RESPONSE: Ultra-optimized settings for speed
-    const model = genAI.getGenerativeModel({ 
-      model: modelName,
-      generationConfig: {
-        temperature: 0.7,  // More creative and natural like Gemini
-        maxOutputTokens: fast ? 4000 : 8000,  // Much higher for complete responses like ChatGPT/Gemini
-        topP: 0.9,  // More diverse responses
-        topK: 40,   // More choices for better quality
-      },
-    });
-    
-    console.log(`[Gemini] 📤 Calling ${modelName} with ${prompt.length} chars...`);
-    // Add timeout: 18 seconds max per call (to prevent Vercel 30s timeout)
-    const result = await withTimeout(
-      model.generateContent(prompt),
-      18000,
-      `Gemini API timeout after 18s (model: ${modelName})`
-    );
-    const text = result.response?.text();
-    
-    if (!text || text.trim() === '') {
-      console.error(`❌ [${modelName}] Empty response from API`);
-      console.error(`[Gemini] Full result:`, JSON.stringify(result, null, 2));
-      // Try fallback
-      throw new Error('Empty response from primary model');
-    }
-    
-    console.log(`✅ [Gemini] INSTANT! ${text.length} chars`);
-    return text;
-  } catch (e) {
-    console.error(`❌ [${modelName}] Error:`, e.message);
-    console.error(`[Gemini] Error details:`, e.stack);
-    
-    // Quick fallback to 2.0-flash (tested working)
-    if (modelName !== 'models/gemini-2.0-flash') {
-      try {
-        console.log(`[Gemini] 🔄 Trying fallback: models/gemini-2.0-flash`);
-        const model = genAI.getGenerativeModel({ 
-          model: 'models/gemini-2.0-flash',
-          generationConfig: {
-            temperature: 0.7,  // More creative and natural
-            maxOutputTokens: fast ? 4000 : 8000,  // Much higher for complete responses
-          },
-        });
-        // Shorter timeout for fallback: 12 seconds
-        const result = await withTimeout(
-          model.generateContent(prompt),
-          12000,
-          'Gemini 2.0 fallback timeout after 12s'
-        );
-        const text = result.response?.text();
-        if (text && text.trim()) {
-          console.log(`✅ [Gemini 2.0] Fallback success! ${text.length} chars`);
-          return text;
-        } else {
-          console.error(`❌ [Gemini 2.0] Fallback also returned empty`);
-        }
-      } catch (fallbackErr) {
-        console.error(`❌ [Gemini 2.0] Fallback error:`, fallbackErr.message);
-      }
-    }
-    
-    // Last fallback: try gemini-1.5-flash
-    if (modelName !== 'models/gemini-1.5-flash') {
-      try {
-        console.log(`[Gemini] 🔄 Trying last fallback: models/gemini-1.5-flash`);
-        const model = genAI.getGenerativeModel({ 
-          model: 'models/gemini-1.5-flash',
-          generationConfig: {
-            temperature: 0.3,
-            maxOutputTokens: fast ? 100 : 200,
-          },
-        });
-        // Shorter timeout for last fallback: 10 seconds
-        const result = await withTimeout(
-          model.generateContent(prompt),
-          10000,
-          'Gemini 1.5 fallback timeout after 10s'
-        );
-        const text = result.response?.text();
-        if (text && text.trim()) {
-          console.log(`✅ [Gemini 1.5] Last fallback success! ${text.length} chars`);
-          return text;
-        }
-      } catch (_) {
-        // Ignore last fallback error
-      }
-    }
-    
-    return '';
-  }
+/**
+ * Log a proposed intent and build its result. The client confirms or edits
+ * `pendingAction.fields` and commits through /actions/:id/confirm.
+ */
+async function proposeIntent(req, message, action, response, pendingAction) {
+  await aiLogsRef(req.userId).add({
+    text: message,
+    response: response,
+    action: action,
+    pendingActionId: pendingAction.id,
+    mode: req.body.mode || 'general',
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+  return { response, action, pendingAction, requiresConfirmation: true };
 }
 
 // Helper function to parse expense requests
-async function handleExpenseIntent(req, res, message, tier) {
+async function handleExpenseIntent(req, message, tier, args = null) {
   const uid = req.userId;
   
   try {
-    // Extract amount
-    const amountMatch = message.match(/(\d+)/);
-    const amount = amountMatch ? parseInt(amountMatch[1]) : 0;
-    
-    // Determine category
+    let amount;
     let category = 'personal';
-    if (message.toLowerCase().includes('company') || message.toLowerCase().includes('work') || message.toLowerCase().includes('office')) {
-      category = 'company';
-    }
-    
-    // Extract note
     let note = message;
     
-    // Add expense
-    const expenseRef = await getDb().collection('users').doc(uid).collection('expenses').add({
-      amount: amount,
-      category: category,
-      note: note,
-      createdAt: admin.firestore.FieldValue.serverTimestamp(),
-    });
-    
-    const response = `Got it! I've added an expense of Rs ${amount} under ${category} category. Your expense has been tracked.`;
+    if (args) {
+      amount = args.amount;
+      category = args.category || 'personal';
+      note = args.note || message;
+    } else {
+      // Extract amount
+      const amountMatch = message.match(/(\d+)/);
+      amount = amountMatch ? parseInt(amountMatch[1]) : 0;
+      
+      // Determine category
+      if (message.toLowerCase().includes('company') || message.toLowerCase().includes('work') || message.toLowerCase().includes('office')) {
+        category = 'company';
+      }
+    }
     
-    // Log the action
-    await getDb().collection('users').doc(uid).collection('ai_logs').add({
-      text: message,
-      response: response,
-      action: 'expense.add',
-      expenseId: expenseRef.id,
-      mode: req.body.mode || 'general',
-      createdAt: admin.firestore.FieldValue.serverTimestamp(),
-    });
+    // Nothing is written until the user confirms (POST /actions/:id/confirm)
+    const pendingAction = await createPendingAction(uid, 'expense.add', { amount, category, note }, { message, mode: req.body.mode });
+    const response = pendingAction.errors.length === 0
+      ? `Add an expense of Rs ${amount} under ${category} category? Please confirm.`
+      : `I couldn't work out the amount for this expense. Please fill it in and confirm.`;
     
-    return ok(res, { response, action: 'expense.add', expenseId: expenseRef.id });
+    return proposeIntent(req, message, 'expense.add', response, pendingAction);
   } catch (e) {
     console.error('[handleExpenseIntent] Error:', e);
     // Fallback to regular AI response if expense tracking fails
     const fallbackResponse = 'I understand you want to track an expense. Could you please use the Expense tab to add it manually?';
-    return ok(res, { response: fallbackResponse });
+    return { response: fallbackResponse };
   }
 }
 
 // Helper function to parse scheduling requests
-async function handleSchedulingIntent(req, res, message, tier) {
+async function handleSchedulingIntent(req, message, tier, args = null) {
   const uid = req.userId;
   
   try {
@@ -452,11 +117,12 @@ Return ONLY a JSON object with these fields:
 If you can't determine exact time, use next available hour. If date is relative (today, tomorrow), calculate actual date.
 Today is ${new Date().toISOString()}.`;
 
-    let extractedData = null;
+    // Validated tool-call arguments skip the extraction call entirely
+    let extractedData = args ? { ...args, note: args.note || message } : null;
     
     // Try to extract using available AI
-    if (GOOGLE_AI_API_KEY) {
-      const aiResponse = await callGemini(extractionPrompt);
+    if (!extractedData && GOOGLE_AI_API_KEY) {
+      const aiResponse = await callGemini(extractionPrompt, undefined, { onUsage: usageFor(req, 'extraction', tier) });
       try {
         extractedData = JSON.parse(aiResponse);
       } catch (e) {
@@ -541,62 +207,24 @@ Today is ${new Date().toISOString()}.`;
       };
     }
     
-    // Add to schedule
-    const scheduleRef = await getDb().collection('users').doc(uid).collection('schedule').add({
-      title: extractedData.title,
-      datetime: extractedData.datetime,
-      note: extractedData.note || '',
-      createdAt: admin.firestore.FieldValue.serverTimestamp(),
-    });
-    
-    // Format response
-    const scheduleTime = new Date(extractedData.datetime);
-    const timeStr = scheduleTime.toLocaleTimeString('en-IN', { 
-      hour: 'numeric', 
-      minute: '2-digit',
-      hour12: true 
-    });
-    const dateStr = scheduleTime.toLocaleDateString('en-IN', { 
-      month: 'long', 
-      day: 'numeric' 
-    });
-    
-    const response = `Done! I've added "${extractedData.title}" to your calendar for ${dateStr} at ${timeStr}. You'll get a reminder notification before the event.`;
-    
-    // Log the action
-    await getDb().collection('users').doc(uid).collection('ai_logs').add({
-      text: message,
-      response: response,
-      action: 'schedule.add',
-      scheduleId: scheduleRef.id,
-      mode: req.body.mode || 'general',
-      createdAt: admin.firestore.FieldValue.serverTimestamp(),
-    });
+    // Nothing is written until the user confirms (POST /actions/:id/confirm)
+    const pendingAction = await createPendingAction(uid, 'schedule.add', extractedData, { message, mode: req.body.mode });
+    let response = `I couldn't work out all the details for "${extractedData.title || 'this event'}". Please check them and confirm.`;
+    if (pendingAction.errors.length === 0) {
+      const { dateStr, timeStr } = formatDateTime(pendingAction.fields.datetime);
+      response = `Add "${pendingAction.fields.title}" to your calendar for ${dateStr} at ${timeStr}? Please confirm.`;
+    }
     
-    // Return with both schedule.add action and calendar event creation action
-    return ok(res, { 
-      response, 
-      action: 'schedule.add', 
-      scheduleId: scheduleRef.id,
-      backgroundAction: {
-        type: 'create_calendar_event',
-        data: {
-          title: extractedData.title,
-          startTime: extractedData.datetime,
-          description: extractedData.note || message,
-        },
-        message: 'Adding to device calendar...'
-      }
-    });
+    return proposeIntent(req, message, 'schedule.add', response, pendingAction);
   } catch (e) {
     console.error('[handleSchedulingIntent] Error:', e);
     // Fallback to regular AI response
-    return processMessage(req, res);
+    return null;
   }
 }
 
 // Helper function to handle Google Meet scheduling
-async function handleGoogleMeetIntent(req, res, message, tier) {
+async function handleGoogleMeetIntent(req, message, tier, args = null) {
   const uid = req.userId;
   
   try {
@@ -614,11 +242,12 @@ Return ONLY a JSON object with these fields:
 If you can't determine exact time, use next available hour. If date is relative (today, tomorrow), calculate actual date.
 Today is ${new Date().toISOString()}.`;
 
-    let extractedData = null;
+    // Validated tool-call arguments skip the extraction call entirely
+    let extractedData = args ? { ...args, description: args.description || `Video meeting via Google Meet. ${message}` } : null;
     
     // Try to extract using available AI
-    if (GOOGLE_AI_API_KEY) {
-      const aiResponse = await callGemini(extractionPrompt);
+    if (!extractedData && GOOGLE_AI_API_KEY) {
+      const aiResponse = await callGemini(extractionPrompt, undefined, { onUsage: usageFor(req, 'extraction', tier) });
       try {
         extractedData = JSON.parse(aiResponse);
       } catch (e) {
@@ -684,106 +313,161 @@ Today is ${new Date().toISOString()}.`;
       };
     }
     
-    // Add to schedule in Firestore
-    const scheduleRef = await getDb().collection('users').doc(uid).collection('schedule').add({
-      title: extractedData.title,
-      datetime: extractedData.datetime,
-      note: extractedData.description || '',
-      type: 'google_meet',
-      attendees: extractedData.attendees || [],
-      createdAt: admin.firestore.FieldValue.serverTimestamp(),
-    });
-    
-    // Format response
-    const scheduleTime = new Date(extractedData.datetime);
-    const timeStr = scheduleTime.toLocaleTimeString('en-IN', { 
-      hour: 'numeric', 
-      minute: '2-digit',
-      hour12: true 
-    });
-    const dateStr = scheduleTime.toLocaleDateString('en-IN', { 
-      month: 'long', 
-      day: 'numeric' 
-    });
-    
-    const attendeesList = extractedData.attendees && extractedData.attendees.length > 0
-      ? ` with ${extractedData.attendees.join(', ')}`
-      : '';
-    
-    const response = `Perfect! I've scheduled a Google Meet "${extractedData.title}"${attendeesList} for ${dateStr} at ${timeStr}. The meeting has been added to your calendar with a Google Meet link, and you'll get a reminder 10 minutes before the meeting starts.`;
-    
-    // Log the action
-    await getDb().collection('users').doc(uid).collection('ai_logs').add({
-      text: message,
-      response: response,
-      action: 'google_meet.create',
-      scheduleId: scheduleRef.id,
-      mode: req.body.mode || 'general',
-      createdAt: admin.firestore.FieldValue.serverTimestamp(),
-    });
+    // Nothing is written until the user confirms (POST /actions/:id/confirm)
+    const pendingAction = await createPendingAction(uid, 'google_meet.create', extractedData, { message, mode: req.body.mode });
+    let response = `I couldn't work out all the details for this Google Meet. Please check them and confirm.`;
+    if (pendingAction.errors.length === 0) {
+      const { dateStr, timeStr } = formatDateTime(pendingAction.fields.datetime);
+      const attendees = pendingAction.fields.attendees || [];
+      const attendeesList = attendees.length > 0 ? ` with ${attendees.join(', ')}` : '';
+      response = `Schedule a Google Meet "${pendingAction.fields.title}"${attendeesList} for ${dateStr} at ${timeStr}? Please confirm.`;
+    }
     
-    // Return with Google Meet creation action
-    return ok(res, { 
-      response, 
-      action: 'google_meet.create', 
-      scheduleId: scheduleRef.id,
-      backgroundAction: {
-        type: 'create_google_meet',
-        data: {
-          title: extractedData.title,
-          startTime: extractedData.datetime,
-          description: extractedData.description || message,
-          attendees: extractedData.attendees || [],
-        },
-        message: 'Creating Google Meet and adding to calendar...'
-      }
-    });
+    return proposeIntent(req, message, 'google_meet.create', response, pendingAction);
   } catch (e) {
     console.error('[handleGoogleMeetIntent] Error:', e);
     // Fallback to regular AI response
-    return processMessage(req, res);
+    return null;
   }
 }
 
-async function processMessage(req, res) {
-  const uid = req.userId;
-  const { message, mode, conversationHistory, tierLevel, fast, replyStyle, voiceChat, attachments } = req.body || {};
-  if (!message) return res.status(400).json({ error: 'message required' });
-
-  const tier = tierLevel || 'free';  // Default to free tier if not specified
-  const hasGrokKey = !!process.env.XAI_API_KEY;
-  const hasOpenAIKey = !!OPENAI_API_KEY;
-  const isVoiceChat = voiceChat === true;  // Voice chat session flag
-  const hasAttachments = attachments && Array.isArray(attachments) && attachments.length > 0;
-  
-  console.log(`[processMessage] tier: ${tier}, mode: ${mode}, fast: ${!!fast}, replyStyle: ${replyStyle || 'default'}, voiceChat: ${isVoiceChat}, attachments: ${hasAttachments ? attachments.length : 0}, hasGrokKey: ${hasGrokKey}, hasOpenAIKey: ${hasOpenAIKey}`);
-  
-  // ===== USAGE LIMITS CHECK (prevent abuse and control costs) =====
-  // ⚡ VOICE CHAT: Allow unlimited messages within a voice session
-  // Skip quota check for voice chat sessions, but still track usage for analytics
-  let limitCheck;
+/**
+ * Shared quota gate for both /ai/process paths.
+ * Voice chat sessions are never blocked, but the check still runs for logging.
+ */
+async function checkUsageLimits(uid, tier, isVoiceChat, label) {
+  const limitCheck = await checkMessageLimit(uid, tier);
   if (isVoiceChat) {
-    console.log(`[processMessage] 🎤 Voice chat session - skipping quota check, allowing unlimited messages`);
-    // Still check quota for info, but don't block
-    limitCheck = await checkMessageLimit(uid, tier);
-    console.log(`[processMessage] ℹ️ Voice chat quota info: ${limitCheck.remainingTotal} total, ${limitCheck.remainingToday} today (not blocking)`);
+    // ⚡ VOICE CHAT: Allow unlimited messages within a voice session
+    console.log(`[${label}] 🎤 Voice chat session - quota not enforced (${limitCheck.remainingTotal} total, ${limitCheck.remainingToday} today)`);
+  } else if (!limitCheck.allowed) {
+    console.log(`[${label}] ⛔ Message blocked: ${limitCheck.reason}`);
   } else {
-    // Regular chat - enforce quota limits
-    limitCheck = await checkMessageLimit(uid, tier);
-    
-    if (!limitCheck.allowed) {
-      console.log(`[processMessage] ⛔ Message blocked: ${limitCheck.reason}`);
-      return res.status(429).json({
-        error: 'limit_exceeded',
-        message: limitCheck.reason,
-        remainingTotal: limitCheck.remainingTotal,
-        remainingToday: limitCheck.remainingToday,
-        usage: limitCheck.usage,
-      });
+    console.log(`[${label}] ✅ Usage check passed. Remaining: ${limitCheck.remainingTotal} total, ${limitCheck.remainingToday} today`);
+  }
+  return limitCheck;
+}
+
+function limitExceededBody(limitCheck) {
+  return {
+    error: 'limit_exceeded',
+    message: limitCheck.reason,
+    remainingTotal: limitCheck.remainingTotal,
+    remainingToday: limitCheck.remainingToday,
+    usage: limitCheck.usage,
+  };
+}
+
+/**
+ * Call / SMS tool calls - nothing to store, the app performs them on the device
+ */
+function deviceActionIntent(name, args) {
+  const target = args.contact || args.phone;
+  if (name === 'make_call') {
+    return {
+      response: `Calling ${target}...`,
+      action: 'call.make',
+      backgroundAction: {
+        type: 'make_call',
+        data: { contact: args.contact || null, phone: args.phone || null },
+        message: `Calling ${target}...`
+      }
+    };
+  }
+  return {
+    response: `Opening messages to ${target}...`,
+    action: 'sms.send',
+    backgroundAction: {
+      type: 'send_sms',
+      data: { contact: args.contact || null, phone: args.phone || null, message: args.message || '' },
+      message: 'Opening messages...'
     }
-    
-    console.log(`[processMessage] ✅ Usage check passed. Remaining: ${limitCheck.remainingTotal} total, ${limitCheck.remainingToday} today`);
+  };
+}
+
+/**
+ * Run the handler for a tool call. Invalid arguments don't reach Firestore -
+ * the handler falls back to parsing the message itself.
+ */
+async function runToolIntent(req, message, tier, toolCall) {
+  const checked = validateToolCall(toolCall);
+  if (!checked.valid) {
+    console.log(`[AI] Tool call ${checked.name} rejected: ${checked.errors.join('; ')}`);
   }
+  const args = checked.valid ? checked.args : null;
+
+  switch (checked.name) {
+    case 'create_schedule':
+      return handleSchedulingIntent(req, message, tier, args);
+    case 'create_google_meet':
+      return handleGoogleMeetIntent(req, message, tier, args);
+    case 'add_expense':
+      return handleExpenseIntent(req, message, tier, args);
+    case 'make_call':
+    case 'send_sms':
+      // Nothing sensible to do without a contact - answer as normal chat
+      return args ? deviceActionIntent(checked.name, args) : null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Route memory / undo / scheduling / Google Meet / expense / call / SMS requests to their handlers.
+ * Resolves to { result, viaTools }: result is the handler's result, or null when the
+ * message is a normal chat turn; viaTools is true when a model (not the keyword
+ * rules) made that call.
+ * With `tools: false` (assistant mode - the assistant calls tools itself) only the
+ * memory and undo commands are checked. Tool routing is skipped for messages that
+ * mightNeedTool() rules out.
+ */
+async function dispatchIntent(req, message, tier, { tools = true } = {}) {
+  // "remember that ..." / "forget that ..." (explicit long-term memory)
+  try {
+    const memoryResult = await handleMemoryCommand(req.userId, message);
+    if (memoryResult) {
+      console.log(`[AI] Memory command detected: ${memoryResult.action}`);
+      return { result: memoryResult, viaTools: false };
+    }
+  } catch (e) {
+    console.error('[AI] Memory command error:', e.message);
+  }
+
+  // "undo that" / "cancel that expense" - reverts recent AI-created records
+  try {
+    const undoResult = await handleUndoCommand(req.userId, message);
+    if (undoResult) {
+      console.log(`[AI] Undo command detected: ${undoResult.undone.length} action(s) undone`);
+      return { result: undoResult, viaTools: false };
+    }
+  } catch (e) {
+    console.error('[AI] Undo command error:', e.message);
+  }
+
+  if (!tools) return { result: null, viaTools: true };
+
+  // Most turns are plain chat - don't hold the reply (or the first streamed token) for a routing call
+  if (!mightNeedTool(message)) return { result: null, viaTools: false };
+
+  // Tool calling decides first; the keyword rules below only run when no
+  // tool-capable provider answered (offline, no keys, provider errors)
+  const detected = await detectToolCall(message, tier, { onUsage: usageFor(req, 'tools', tier) });
+  if (detected) {
+    if (!detected.toolCall) return { result: null, viaTools: true };
+    console.log(`[AI] Tool call from ${detected.provider}: ${detected.toolCall.name}`);
+    return { result: await runToolIntent(req, message, tier, detected.toolCall), viaTools: true };
+  }
+
+  return { result: await dispatchKeywordIntent(req, message, tier), viaTools: false };
+}
+
+/**
+ * Keyword rules for scheduling / Google Meet / expense (offline fallback)
+ */
+async function dispatchKeywordIntent(req, message, tier) {
+  // "How much did I spend last month?" / "what meetings do I have?" are answered from
+  // the user's records (finance-context.js), not turned into new entries
+  if (isUserDataQuestion(message)) return null;
 
   // Check for scheduling intent (supports English + Hindi/Hinglish)
   const lowerMessage = message.toLowerCase();
@@ -802,13 +486,13 @@ async function processMessage(req, res) {
   // Handle Google Meet scheduling
   if (hasGoogleMeet && hasScheduleAction) {
     console.log('[AI] Google Meet scheduling intent detected!');
-    return await handleGoogleMeetIntent(req, res, message, tier);
+    return await handleGoogleMeetIntent(req, message, tier);
   }
   
   // Handle regular scheduling
   if (hasScheduleAction && hasScheduleTarget) {
     console.log('[AI] Scheduling intent detected!');
-    return await handleSchedulingIntent(req, res, message, tier);
+    return await handleSchedulingIntent(req, message, tier);
   }
   
   // Check for expense tracking intent (English + Hindi)
@@ -818,153 +502,332 @@ async function processMessage(req, res) {
   
   if (hasExpenseKeyword && amountMatch) {
     console.log('[AI] Expense intent detected!');
-    return await handleExpenseIntent(req, res, message, tier);
+    return await handleExpenseIntent(req, message, tier);
+  }
+
+  return null;
+}
+
+/**
+ * Hard cap on reply length (safety check shared by both /ai/process paths)
+ */
+const MAX_RESPONSE_CHARS = 2000;
+
+function truncateResponse(result, label) {
+  if (result && result.length > MAX_RESPONSE_CHARS) {
+    console.log(`⚡ [${label}] Response too long (${result.length} chars), truncating to ${MAX_RESPONSE_CHARS} chars`);
+    return result.substring(0, MAX_RESPONSE_CHARS) + '...';
+  }
+  return result;
+}
+
+/**
+ * Context for this turn: { history, summary }. With a conversationId the server
+ * loads the stored summary + recent turns, otherwise the client's history is used.
+ * Resolves to null for an unknown conversation.
+ */
+async function resolveContext(uid, conversationId, conversationHistory, tier) {
+  if (!conversationId) {
+    return { history: Array.isArray(conversationHistory) ? conversationHistory : [], summary: null };
+  }
+  return loadConversationContext(uid, conversationId, tier);
+}
+
+/// Prompt template variables from the request body (client-supplied, so kept short and single-line)
+function promptVars({ userName, language, replyStyle } = {}) {
+  const clean = (value) => (typeof value === 'string' ? value.replace(/\s+/g, ' ').trim().substring(0, 40) : undefined);
+  return { userName: clean(userName), language: clean(language), replyStyle };
+}
+
+/**
+ * Persona for this request: undefined without a personaId, null when it doesn't exist.
+ * A persona that fails the safety filter or is over the plan's persona limit is skipped
+ * and the mode prompt used on its own.
+ */
+async function resolvePersona(uid, personaId) {
+  if (!personaId) return undefined;
+  const persona = await loadPersona(uid, personaId);
+  if (!persona) return null;
+  return persona.blocked || persona.overLimit ? undefined : persona;
+}
+
+/**
+ * Mode prompt (prompts.js) + custom persona + conversation summary + the user's expense /
+ * schedule records (finance-context.js) + relevant long-term facts about the user.
+ * Resolves to { text, id, version, personaId, personal } - personal when anything user-specific went in.
+ * A failed memory or records lookup just means going without them this turn.
+ */
+async function buildSystemPrompt(uid, mode, message, context, { markdown = false, vars = {}, persona, version } = {}) {
+  const [memories, records] = await Promise.all([
+    getRelevantMemories(uid, message).catch((e) => {
+      console.error('[AI] Memory lookup error:', e.message);
+      return [];
+    }),
+    loadFinanceContext(uid, mode, message).catch((e) => {
+      console.error('[AI] Finance records lookup error:', e.message);
+      return null;
+    }),
+  ]);
+  if (records) console.log(`[AI] 📊 Added the user's finance records to the prompt (${records.split('\n').length} lines)`);
+  const prompt = renderModePrompt(mode, { markdown, vars, version });
+  const withContext = withFinanceContext(withConversationSummary(withPersona(prompt.text, persona), context.summary), records);
+  return {
+    text: withUserMemories(withContext, memories),
+    id: prompt.id,
+    version: prompt.version,
+    personaId: persona?.id || null,
+    personal: memories.length > 0 || !!context.summary || !!vars.userName || !!persona || !!records,
+  };
+}
+
+/**
+ * Response cache key for a request that is safe to share between users, or null.
+ * Only standalone, non-personal text messages qualify: no attachments, no history,
+ * nothing user-specific in the prompt (summary / remembered facts), not night mode.
+ */
+function sharedCacheKey({ message, mode, tier, fast, history, hasAttachments, prompt, vars }) {
+  if (!isResponseCacheEnabled() || hasAttachments || history.length > 0 || mode === 'night') return null;
+  if (isPersonalMessage(message) || prompt.personal) return null;
+  return responseCacheKey({
+    message,
+    mode,
+    tier,
+    fast,
+    promptVersion: `${prompt.id}@${prompt.version}`,
+    language: vars.language,
+    replyStyle: vars.replyStyle,
+  });
+}
+
+/**
+ * Answer through the conversation's OpenAI assistant thread, running its tool
+ * calls through our intent handlers. `steps` is the chain that answers if the run
+ * fails - the run only gets the time that chain leaves. Resolves to null on failure.
+ */
+function runAssistant(req, { message, tier, systemPrompt, steps }) {
+  return runAssistantTurn({
+    uid: req.userId,
+    conversationId: req.body.conversationId,
+    message,
+    instructions: systemPrompt,
+    maxTokens: resolveMaxTokens('openai', message.length),
+    fallbackBudgetMs: chainBudgetMs(steps),
+    onUsage: usageFor(req, 'assistant', tier),
+    onToolCall: (name, args) => runToolIntent(req, message, tier, { name, args }),
+  });
+}
+
+/// A reply the provider chain gave in an assistant conversation goes onto its thread too (background)
+function syncAssistantThread(req, message, result, label) {
+  recordFallbackReply(req.userId, req.body.conversationId, message, result)
+    .catch(err => console.error(`[${label}] Background assistant thread error:`, err.message));
+}
+
+/// Client-facing fields for intents the assistant ran (first one, like a direct intent)
+function toolResultFields(toolResults) {
+  if (!toolResults || toolResults.length === 0) return {};
+  const { action, pendingAction, requiresConfirmation, backgroundAction } = toolResults[0];
+  return { intent: action, pendingAction, requiresConfirmation, backgroundAction };
+}
+
+/// Persist the exchange to its conversation, then refresh the rolling summary
+/// (background, no-op without a conversationId)
+function saveToConversation(uid, conversationId, tier, message, result, label) {
+  if (!conversationId) return;
+  appendExchange(uid, conversationId, message, result)
+    .then(() => {
+      console.log(`[${label}] ✅ Saved to conversation ${conversationId} (background)`);
+      return updateSummary(uid, conversationId, tier, { onUsage: usageRecorder(uid, { route: 'summary', tier }) });
+    })
+    .catch(err => console.error(`[${label}] Background conversation save error:`, err.message));
+}
+
+/// ai_logs fields for a reply generated under an experiment variant (experiments.js)
+function experimentFields(variant, startedAt) {
+  return {
+    experimentId: variant.experimentId,
+    variantId: variant.variantId,
+    latencyMs: Date.now() - startedAt,
+  };
+}
+
+/// Log an experiment request no provider answered - the report's empty-response rate needs them (background)
+function recordEmptyReply(uid, { message, mode, experiment }, label) {
+  aiLogsRef(uid)
+    .add({
+      text: message,
+      response: '',
+      mode: mode || 'general',
+      empty: true,
+      ...experiment,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    })
+    .catch(err => console.error(`[${label}] Background log error:`, err.message));
+}
+
+/// Write a reply's ai_logs entry (background). Its id is the messageId clients rate and regenerate.
+function logReply(logRef, { message, result, mode, conversationId, prompt, provider, ...extra }, label) {
+  logRef
+    .set({
+      text: message,
+      response: result,
+      mode: mode || 'general',
+      conversationId: conversationId || null,
+      provider: provider || null,
+      promptId: prompt?.id || null,
+      promptVersion: prompt?.version || null,
+      personaId: prompt?.personaId || null,
+      ...extra,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    })
+    .then(() => console.log(`[${label}] ✅ Logged to Firestore (background)`))
+    .catch(err => console.error(`[${label}] Background log error:`, err.message));
+}
+
+/**
+ * Background bookkeeping after a successful AI reply: usage count, ai_logs, conversation.
+ * Never awaited by the request - failures are only logged.
+ */
+function recordExchange(uid, { message, result, mode, conversationId, tier, prompt, provider, experiment, logRef, incomplete }, label) {
+  saveToConversation(uid, conversationId, tier, message, result, label);
+  
+  // Increment usage count (background)
+  incrementMessageCount(uid).then(() => {
+    console.log(`[${label}] ✅ Usage count incremented (background)`);
+  }).catch(err => {
+    console.error(`[${label}] Background usage increment error:`, err.message);
+  });
+  
+  // Log to Firestore (background)
+  logReply(logRef, { message, result, mode, conversationId, prompt, provider, ...experiment, ...(incomplete ? { incomplete: true } : {}) }, label);
+
+  // Learn durable personal facts (background). Night mode chats are private
+  // and short-lived, so nothing from them is kept long-term.
+  if (mode !== 'night') {
+    extractMemories(uid, message, result, tier, { onUsage: usageRecorder(uid, { route: 'memory', mode, tier }) })
+      .catch(err => console.error(`[${label}] Background memory extraction error:`, err.message));
+  }
+}
+
+/// 500 body for a failed generation: a message the user can act on, the raw error only in development
+function errorBody(e) {
+  let userMessage = 'Sorry, I encountered an error. Please try again.';
+
+  if (e.message?.includes('Maximum call stack') || e.message?.includes('stack overflow')) {
+    userMessage = 'Conversation too long. Please start a new chat.';
+  } else if (e.message?.includes('ECONNREFUSED') || e.message?.includes('ETIMEDOUT')) {
+    userMessage = 'Network error. Please check your connection.';
+  } else if (e.message?.includes('timeout') || e.message?.includes('Timeout')) {
+    userMessage = 'Request timeout. AI is slow right now, please try again.';
+  }
+
+  return {
+    error: userMessage,
+    detail: process.env.NODE_ENV === 'development' ? e.message : undefined
+  };
+}
+
+async function processMessage(req, res) {
+  const uid = req.userId;
+  const { message, mode, conversationHistory, conversationId, tierLevel, fast, replyStyle, voiceChat, attachments, personaId } = req.body || {};
+  if (!message) return res.status(400).json({ error: 'message required' });
+
+  const tier = tierLevel || 'free';  // Default to free tier if not specified
+  const context = await resolveContext(uid, conversationId, conversationHistory, tier);
+  if (!context) return res.status(404).json({ error: 'Conversation not found' });
+  const persona = await resolvePersona(uid, personaId);
+  if (persona === null) return res.status(404).json({ error: 'Persona not found' });
+
+  const hasGrokKey = !!process.env.XAI_API_KEY;
+  const hasOpenAIKey = !!OPENAI_API_KEY;
+  const isVoiceChat = voiceChat === true;  // Voice chat session flag
+  const hasAttachments = attachments && Array.isArray(attachments) && attachments.length > 0;
+  
+  console.log(`[processMessage] tier: ${tier}, mode: ${mode}, fast: ${!!fast}, replyStyle: ${replyStyle || 'default'}, voiceChat: ${isVoiceChat}, attachments: ${hasAttachments ? attachments.length : 0}, hasGrokKey: ${hasGrokKey}, hasOpenAIKey: ${hasOpenAIKey}`);
+  
+  // ===== USAGE LIMITS CHECK (prevent abuse and control costs) =====
+  const limitCheck = await checkUsageLimits(uid, tier, isVoiceChat, 'processMessage');
+  if (!limitCheck.allowed && !isVoiceChat) {
+    return res.status(429).json(limitExceededBody(limitCheck));
+  }
+
+  // Assistant mode: the conversation's OpenAI thread answers and calls tools itself
+  const useAssistant = wantsAssistant(req.body);
+
+  // Scheduling / Google Meet / expense / call / SMS intents are handled without the AI chain
+  const { result: intentResult, viaTools } = await dispatchIntent(req, message, tier, { tools: !useAssistant });
+  if (intentResult) {
+    saveToConversation(uid, conversationId, tier, message, intentResult.response, 'processMessage');
+    return ok(res, { ...intentResult, conversationId: conversationId || undefined });
   }
 
   let result = '';
+  let toolResults = [];
+  let cached = false;
+  let prompt = null;
+  let provider = null;
+  let experiment = null;
+  let attachmentErrors = [];
   try {
     // Prepare conversation history for context
-    // ⚡ OPTIMIZATION: Limit to last 5 messages for faster responses (reduced from 20)
-    let history = conversationHistory || [];
-    if (history.length > 5) {
-      console.log(`⚡ [processMessage] Trimming history from ${history.length} to 5 messages for faster response`);
-      history = history.slice(-5); // Keep only last 5 messages
-    }
-    
-    // ⚡ Calculate max tokens based on input length
-    const inputLength = message.length;
-    let maxTokens = null;
-    if (inputLength < 50) {
-      maxTokens = 150; // Short question = short answer
-    } else if (inputLength < 200) {
-      maxTokens = 300; // Medium question = medium answer
-    } else {
-      maxTokens = 500; // Long question = longer answer
+    // ⚡ OPTIMIZATION: Limit history for faster responses (routing config, default 5).
+    // A stored conversation's history is already fitted to its memory budget - anything
+    // cut from it would be in neither the prompt nor the summary.
+    const { historyLimit, voiceHedgeAfterMs } = getRoutingConfig();
+    let history = context.history;
+    if (!context.budgeted && history.length > historyLimit) {
+      console.log(`⚡ [processMessage] Trimming history from ${history.length} to ${historyLimit} messages for faster response`);
+      history = history.slice(-historyLimit);
     }
-    console.log(`⚡ [processMessage] Input length: ${inputLength}, max_tokens: ${maxTokens}`);
     
-    // AI Provider Selection Based on Tier:
-    // Tier 1 (Basic): OpenAI only for all modes
-    // Tier 2 (Premium): OpenAI for general, Grok for night/adult mode
-    // Tier 3 (Ultimate): Same as Tier 2 + background listen
+    // Provider order, models, timeouts and token budgets come from the routing table
+    const route = resolveRoute(mode, tier);
+    const variant = assignVariant(uid, { mode, tier });
     
-    if (mode === 'night') {
-      const systemPrompt = 'You are Ev – witty, haunting, romantic. Keep 18+ vibe with tone. Be conversational and detailed.';
-      
-      const fullHistory = [
-        { role: 'system', content: systemPrompt },
-        ...history,
-        { role: 'user', content: message }
-      ];
-      
-      // TIER 2 & TIER 3 ONLY: Use Grok AI
-      if (tier === 'tier2' || tier === 'tier3') {
-        if (hasGrokKey) {
-          console.log('[processMessage] ⚡ TIER 2/3: Grok AI (night mode)');
-          result = await callGrok(message, fullHistory, fast);
-        } else {
-          console.error('[processMessage] ✗ TIER 2/3: Grok API key missing! Cannot provide premium adult mode');
-        }
-        
-        // Quick fallback to OpenAI if Grok fails
-        if (!result && hasOpenAIKey) {
-          console.log('[processMessage] ⚡ Fallback to OpenAI');
-          result = await callOpenAI(message, fullHistory, fast);
-        }
-      } else {
-        result = 'Night mode is only available for Premium (Tier 2+) subscribers. Please upgrade.';
-      }
+    if (route.lockedMessage) {
+      result = route.lockedMessage;
     } else {
-      // General modes - ALL TIERS
-      const modePrompts = {
-        funLearn: 'You are a fun educational AI. Provide comprehensive, detailed explanations. Be engaging and thorough like ChatGPT.',
-        health: 'You are a health assistant. Provide complete, helpful information with all necessary details and explanations.',
-        finance: 'You are a finance advisor. Give practical, comprehensive advice with full explanations and examples.'
-      };
-      const systemPrompt = modePrompts[mode] || 'You are a helpful AI assistant. Provide complete, detailed responses like ChatGPT or Gemini. Be thorough and comprehensive.';
-      
-      const fullHistory = [
-        { role: 'system', content: systemPrompt },
-        ...history,
-        { role: 'user', content: message }
-      ];
-      
-      // ⚡ INSTANT RESPONSE STRATEGY: Always use FASTEST AI first!
-      // Priority: Gemini 2.5 Flash (FASTEST) > OpenAI (FAST) > Grok (SLOW - only for night mode)
-      
-      // ALWAYS try Gemini first (FASTEST) - for ALL users, ALL modes
-      // If attachments exist, use Gemini Vision API
-      if (GOOGLE_AI_API_KEY) {
-        if (hasAttachments) {
-          console.log('[processMessage] 🖼️ Using Gemini Vision API for image/file analysis');
-          try {
-            result = await callGeminiWithAttachments(message, attachments, history, systemPrompt, true);
-            if (result && result.trim()) {
-              console.log(`[processMessage] ✅ Gemini Vision success: ${result.length} chars`);
-            } else {
-              console.error('[processMessage] ❌ Gemini Vision returned empty result');
-            }
-          } catch (visionErr) {
-            console.error('[processMessage] ❌ Gemini Vision error:', visionErr.message);
-            result = '';
-          }
-        } else {
-          console.log('[processMessage] ⚡ INSTANT: Using Gemini 2.5 Flash (FASTEST)');
-          try {
-            // Simple prompt for speed
-            const simplePrompt = `${systemPrompt}\nRecent: ${history.slice(-2).map(h => `${h.role}: ${h.content}`).join('\n')}\nUser: ${message}\nAssistant:`;
-            result = await callGemini(simplePrompt, 'models/gemini-2.5-flash', true);
-            if (result && result.trim()) {
-              console.log(`[processMessage] ✅ Gemini success: ${result.length} chars`);
-            } else {
-              console.error('[processMessage] ❌ Gemini returned empty result');
-            }
-          } catch (geminiErr) {
-            console.error('[processMessage] ❌ Gemini error:', geminiErr.message);
-            result = '';
-          }
-        }
-      }
-      
-      // Fallback to OpenAI if Gemini fails (also fast)
-      if (!result && hasOpenAIKey) {
-        console.log('[processMessage] ⚡ Fallback: Using OpenAI (FAST)');
-        try {
-          result = await callOpenAI(message, fullHistory, true);
-          if (result && result.trim()) {
-            console.log(`[processMessage] ✅ OpenAI success: ${result.length} chars`);
-          } else {
-            console.error('[processMessage] ❌ OpenAI returned empty result');
-          }
-        } catch (openaiErr) {
-          console.error('[processMessage] ❌ OpenAI error:', openaiErr.message);
-          result = '';
-        }
-      }
-      
-      // LAST RESORT: Use Grok if both Gemini and OpenAI failed (available for all users as fallback)
-      if (!result && hasGrokKey) {
-        console.log('[processMessage] ⚠️ Last resort: Using Grok (all tiers)');
-        try {
-          result = await callGrok(message, fullHistory, true);
-          if (result && result.trim()) {
-            console.log(`[processMessage] ✅ Grok success: ${result.length} chars`);
-          } else {
-            console.error('[processMessage] ❌ Grok returned empty result');
-          }
-        } catch (grokErr) {
-          console.error('[processMessage] ❌ Grok error:', grokErr.message);
-          console.error('[processMessage] Grok error stack:', grokErr.stack);
-          result = '';
-        }
+      const vars = promptVars(req.body);
+      prompt = await buildSystemPrompt(uid, mode, message, context, { vars, persona, version: variant?.promptVersion });
+      const systemPrompt = prompt.text;
+      const assisted = useAssistant && !hasAttachments ? await runAssistant(req, { message, tier, systemPrompt, steps: applyVariant(route.steps, variant) }) : null;
+      // Users in an experiment skip the shared cache - their replies belong to their variant
+      const cacheKey = useAssistant || variant ? null : sharedCacheKey({ message, mode, tier, fast, history, hasAttachments, prompt, vars });
+      const hit = cacheKey ? await getCachedResponse(cacheKey) : null;
+      if (assisted) {
+        result = assisted.text;
+        toolResults = assisted.toolResults;
+        provider = 'assistant';
+      } else if (hit) {
+        console.log(`[processMessage] 🗄️ Cache hit (originally from ${hit.provider})`);
+        result = hit.response;
+        provider = hit.provider;
+        cached = true;
+      } else {
+        const startedAt = Date.now();
+        // Attachments are downloaded and checked here; documents become text in the user's turn
+        const input = await prepareAttachments(message, attachments, { uid, tier, onUsage: usageFor(req, 'documents', tier) });
+        attachmentErrors = input.errors;
+        const generated = await runProviderChain(applyVariant(route.steps, variant), {
+          message: input.message,
+          systemPrompt,
+          history,
+          historyBudgeted: !!context.budgeted,
+          attachments: input.attachments.length ? input.attachments : undefined,
+          fast: !!fast,
+        }, 'processMessage', {
+          hedgeAfterMs: isVoiceChat ? voiceHedgeAfterMs : 0,
+          onUsage: usageFor(req, 'chat', tier),
+        });
+        result = generated.text;
+        provider = generated.provider;
+        if (variant) experiment = experimentFields(variant, startedAt);
+        if (cacheKey && result && result.trim()) cacheResponse(cacheKey, { response: result, provider: generated.provider });
       }
     }
     
     // ⚡ TRUNCATE RESPONSE if too long (safety check)
-    if (result && result.length > 2000) {
-      console.log(`⚡ [processMessage] Response too long (${result.length} chars), truncating to 2000 chars`);
-      result = result.substring(0, 2000) + '...';
-    }
+    result = truncateResponse(result, 'processMessage');
     
     console.log(`[processMessage] Final result length: ${result?.length || 0}`);
     
@@ -978,26 +841,13 @@ async function processMessage(req, res) {
   console.log(`[processMessage] ✅ Response ready (${result?.length || 0} chars)`);
   } catch (e) {
     console.error('[processMessage] Error:', e.message || e);
-    
-    let userMessage = 'Sorry, I encountered an error. Please try again.';
-    
-    if (e.message?.includes('Maximum call stack') || e.message?.includes('stack overflow')) {
-      userMessage = 'Conversation too long. Please start a new chat.';
-    } else if (e.message?.includes('ECONNREFUSED') || e.message?.includes('ETIMEDOUT')) {
-      userMessage = 'Network error. Please check your connection.';
-    } else if (e.message?.includes('timeout') || e.message?.includes('Timeout')) {
-      userMessage = 'Request timeout. AI is slow right now, please try again.';
-    }
-    
-    return res.status(500).json({ 
-      error: userMessage,
-      detail: process.env.NODE_ENV === 'development' ? e.message : undefined
-    });
+    return res.status(500).json(errorBody(e));
   }
 
   // Check if AI returned empty result
   if (!result || result.trim() === '') {
     console.error('[processMessage] Empty result from all AI providers');
+    if (experiment) recordEmptyReply(uid, { message, mode, experiment }, 'processMessage');
     console.error('[processMessage] Available keys:', {
       hasGemini: !!GOOGLE_AI_API_KEY,
       hasOpenAI: !!hasOpenAIKey,
@@ -1018,44 +868,37 @@ async function processMessage(req, res) {
   }
 
   // Detect actions in the message and AI response
-  const action = detectBackgroundAction(message, result);
+  const toolFields = toolResultFields(toolResults);
+  const action = toolFields.backgroundAction || detectBackgroundAction(message, result, { toolsDecided: viaTools });
   
   // ⚡ INSTANT RESPONSE: Return immediately, do logging in background
   // This makes responses feel instant to the user!
+  const logRef = aiLogsRef(uid).doc();
   const response = ok(res, { 
     response: result,
+    messageId: logRef.id,
     action: action || undefined,
     quota: quota || undefined,
+    conversationId: conversationId || undefined,
+    intent: toolFields.intent,
+    pendingAction: toolFields.pendingAction,
+    requiresConfirmation: toolFields.requiresConfirmation,
+    cached: cached || undefined,
+    attachmentErrors: attachmentErrors.length ? attachmentErrors : undefined,
   });
   
   // ===== BACKGROUND TASKS (non-blocking) =====
   // These run AFTER sending response to user
-  
-  // Increment usage count (background)
-  incrementMessageCount(uid).then(() => {
-    console.log(`[processMessage] ✅ Usage count incremented (background)`);
-  }).catch(err => {
-    console.error('[processMessage] Background usage increment error:', err.message);
-  });
-  
-  // Log to Firestore (background)
-  getDb().collection('users')
-    .doc(uid)
-    .collection('ai_logs')
-    .add({
-      text: message,
-      response: result,
-      mode: mode || 'general',
-      createdAt: admin.firestore.FieldValue.serverTimestamp(),
-    })
-    .then(() => console.log('[processMessage] ✅ Logged to Firestore (background)'))
-    .catch(err => console.error('[processMessage] Background log error:', err.message));
+  recordExchange(uid, { message, result, mode, conversationId, tier, prompt, provider, experiment, logRef }, 'processMessage');
+  if (useAssistant && provider !== 'assistant') syncAssistantThread(req, message, result, 'processMessage');
   
   return response;
 }
 
-/// Detect background actions from user message
-function detectBackgroundAction(userMessage, aiResponse) {
+/// Detect background actions from user message.
+/// With toolsDecided the model already ruled out scheduling / call / SMS, so only
+/// the open-app style shortcuts are checked.
+function detectBackgroundAction(userMessage, aiResponse, { toolsDecided = false } = {}) {
   const lowerMsg = userMessage.toLowerCase();
   const lowerResp = (aiResponse || '').toLowerCase();
   
@@ -1068,7 +911,7 @@ function detectBackgroundAction(userMessage, aiResponse) {
   }
   
   // Detect "schedule meeting" with calendar creation
-  if ((lowerMsg.includes('schedule') || lowerMsg.includes('add')) && 
+  if (!toolsDecided && (lowerMsg.includes('schedule') || lowerMsg.includes('add')) && 
       (lowerMsg.includes('meeting') || lowerMsg.includes('event'))) {
     
     // Extract time, person, topic from message
@@ -1112,7 +955,7 @@ function detectBackgroundAction(userMessage, aiResponse) {
   
   // Detect "call" actions - supports both names and phone numbers (SIRI-LIKE)
   const callMatch = lowerMsg.match(/call\s+|dial\s+|phone\s+|ko\s+call/i);
-  if (callMatch || lowerMsg.includes('call') || lowerMsg.includes('phone') || lowerMsg.includes('dial')) {
+  if (!toolsDecided && (callMatch || lowerMsg.includes('call') || lowerMsg.includes('phone') || lowerMsg.includes('dial'))) {
     console.log('[AI] Call intent detected!');
     
     // Try to extract phone number first (priority over name)
@@ -1170,7 +1013,7 @@ function detectBackgroundAction(userMessage, aiResponse) {
   }
   
   // Detect "send message/SMS" actions
-  if (lowerMsg.includes('send') && (lowerMsg.includes('message') || lowerMsg.includes('sms'))) {
+  if (!toolsDecided && lowerMsg.includes('send') && (lowerMsg.includes('message') || lowerMsg.includes('sms'))) {
     return {
       type: 'send_sms',
       data: { },
@@ -1187,91 +1030,210 @@ async function voiceIntent(req, res) {
   const { command } = req.body || {};
   if (!command) return res.status(400).json({ error: 'command required' });
 
+  // "undo that" / "cancel that expense"
+  const undoResult = await handleUndoCommand(uid, command);
+  if (undoResult) {
+    return ok(res, undoResult);
+  }
+
   const lower = command.toLowerCase();
   if (lower.startsWith('add reminder') || lower.startsWith('remind me')) {
     // naive: extract after keyword
     const title = command.replace(/^(add reminder|remind me)\s*/i, '').trim();
     const when = new Date(Date.now() + 60 * 60 * 1000); // default +1h
+    const data = { title: title || 'Reminder', datetime: when.toISOString() };
     const ref = await getDb().collection('users').doc(uid).collection('schedule').add({
-      title: title || 'Reminder',
-      datetime: when.toISOString(),
+      ...data,
       createdAt: admin.firestore.FieldValue.serverTimestamp ? admin.firestore.FieldValue.serverTimestamp() : new Date(),
     });
+    await recordOperation(uid, { action: 'schedule.add', ref, after: data, summary: `reminder "${data.title}"`, source: 'voice' });
     return ok(res, { action: 'schedule.add', id: ref.id });
   }
   if (lower.startsWith('add expense')) {
     const amountMatch = command.match(/(\d+([\.,]\d+)?)/);
     const amount = amountMatch ? parseFloat(amountMatch[1].replace(',', '.')) : 0;
-    await getDb().collection('users').doc(uid).collection('expenses').add({
-      amount,
-      category: 'personal',
+    const data = { amount, category: 'personal' };
+    const ref = await getDb().collection('users').doc(uid).collection('expenses').add({
+      ...data,
       createdAt: admin.firestore.FieldValue.serverTimestamp ? admin.firestore.FieldValue.serverTimestamp() : new Date(),
     });
+    await recordOperation(uid, { action: 'expense.add', ref, after: data, summary: `expense of Rs ${amount}`, source: 'voice' });
     return ok(res, { action: 'expense.add', amount });
   }
   // fallback to AI
   let response = '';
   if (GOOGLE_AI_API_KEY) {
-    response = await callGemini(`Interpret this user voice command and reply helpfully: ${command}`);
+    response = await callGemini(`Interpret this user voice command and reply helpfully: ${command}`, undefined, { onUsage: usageFor(req, 'voice') });
   } else {
-    response = await callOpenAI(`Interpret this user voice command and reply helpfully: ${command}`);
+    response = await callOpenAI([{ role: 'user', content: `Interpret this user voice command and reply helpfully: ${command}` }], { onUsage: usageFor(req, 'voice') });
   }
   return ok(res, { response });
 }
 
-// Streamed response for voice chat: splits text into clauses and writes progressively.
+// Streamed response for voice chat: forwards provider tokens to the client as they arrive.
+// Goes through the same quota gate, intent dispatch, length cap and bookkeeping as processMessage.
 async function processMessageStream(req, res) {
   const uid = req.userId;
-  const { message, mode, conversationHistory, tierLevel, replyStyle, attachments } = req.body || {};
+  const { message, mode, conversationHistory, conversationId, tierLevel, replyStyle, voiceChat, attachments, personaId } = req.body || {};
   if (!message) return res.status(400).json({ error: 'message required' });
 
   const tier = tierLevel || 'free';
-  const hasGrokKey = !!process.env.XAI_API_KEY;
-  const hasOpenAIKey = !!OPENAI_API_KEY;
-  const hasGeminiKey = !!GOOGLE_AI_API_KEY;
+  const isVoiceChat = voiceChat === true;
+
+  const context = await resolveContext(uid, conversationId, conversationHistory, tier);
+  if (!context) return res.status(404).json({ error: 'Conversation not found' });
+  const persona = await resolvePersona(uid, personaId);
+  if (persona === null) return res.status(404).json({ error: 'Persona not found' });
+
+  // ===== USAGE LIMITS CHECK - before any headers go out =====
+  const limitCheck = await checkUsageLimits(uid, tier, isVoiceChat, 'processMessageStream');
+  if (!limitCheck.allowed && !isVoiceChat) {
+    return res.status(429).json(limitExceededBody(limitCheck));
+  }
+
+  // Scheduling / Google Meet / expense / call / SMS intents (the assistant handles its own)
+  const useAssistant = wantsAssistant(req.body);
+  const { result: intentResult, viaTools } = await dispatchIntent(req, message, tier, { tools: !useAssistant });
+
+  // Headers go out up front so the first token reaches the client immediately
+  const writer = createStreamWriter(req, res);
+
+  if (intentResult) {
+    let quota = null;
+    try {
+      quota = await getRemainingQuota(uid, tier);
+    } catch (e) {
+      // ignore quota errors in stream
+    }
+    writer.delta(intentResult.response);
+    writer.action(intentResult.backgroundAction || null, {
+      intent: intentResult.action,
+      memoryId: intentResult.memoryId,
+      candidates: intentResult.candidates,
+      pendingAction: intentResult.pendingAction,
+      undone: intentResult.undone,
+    });
+    writer.quota(quota);
+    writer.done({ provider: null, length: intentResult.response.length, conversationId });
+    saveToConversation(uid, conversationId, tier, message, intentResult.response, 'processMessageStream');
+    return;
+  }
 
   // Use more history for better context (like ChatGPT/Gemini)
-  let history = Array.isArray(conversationHistory) ? conversationHistory.slice(-5) : [];
+  const { historyLimit } = getRoutingConfig();
+  const history = context.budgeted ? context.history : context.history.slice(-historyLimit);
+
+  // Same routing table as processMessage, markdown-flavoured prompts for the chat UI
+  const route = resolveRoute(mode, tier);
+  const variant = assignVariant(uid, { mode, tier });
+  const prompt = await buildSystemPrompt(uid, mode, message, context, {
+    markdown: true,
+    vars: promptVars(req.body),
+    persona,
+    version: variant?.promptVersion,
+  });
+  const systemPrompt = prompt.text;
 
-  // Compose prompt - encourage comprehensive responses like ChatGPT/Gemini
-  const modePrompts = {
-    funLearn: 'You are a fun educational AI. Provide comprehensive, detailed explanations. Be engaging and thorough like ChatGPT. Use proper markdown formatting: use **bold** for emphasis, `code` for code snippets, ```code blocks``` for multi-line code, and add line breaks between paragraphs for readability.',
-    health: 'You are a health assistant. Provide complete, helpful information with all necessary details and explanations. Use proper markdown formatting: use **bold** for important terms, `code` for technical terms, and add line breaks between paragraphs for readability.',
-    finance: 'You are a finance advisor. Give practical, comprehensive advice with full explanations and examples. Use proper markdown formatting: use **bold** for key concepts, `code` for technical terms, and add line breaks between paragraphs for readability.'
+  // Stop generating (and paying for tokens) once the client goes away
+  const controller = new AbortController();
+  let aborted = false;
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      aborted = true;
+      controller.abort();
+    }
+  });
+
+  // Short replies stop after two sentences; everything stops at MAX_RESPONSE_CHARS.
+  // Text already sent can't be taken back, so both limits are applied while streaming.
+  let sent = '';
+  let cutShort = false;
+  const onDelta = (piece) => {
+    if (aborted || cutShort) return;
+    const combined = sent + piece;
+    let cut = replyStyle === 'short' ? twoSentenceCutoff(combined) : -1;
+    if (cut === -1 && combined.length > MAX_RESPONSE_CHARS) cut = MAX_RESPONSE_CHARS;
+    let out = piece;
+    if (cut !== -1) {
+      out = combined.slice(sent.length, cut) + (cut === MAX_RESPONSE_CHARS ? '...' : '');
+      cutShort = true;
+      controller.abort();
+      console.log(`[processMessageStream] 📝 Stopped streaming at ${cut} chars`);
+    }
+    sent += out;
+    if (out) writer.delta(out);
   };
-  const systemPrompt = mode === 'night'
-    ? 'You are Ev – witty, haunting, romantic. Keep 18+ vibe with tone. Be conversational and detailed. Use proper markdown formatting: use **bold** for emphasis, `code` for code snippets, and add line breaks between paragraphs for readability.'
-    : (modePrompts[mode] || 'You are a helpful AI assistant. Provide complete, detailed responses like ChatGPT or Gemini. Be thorough and comprehensive. Use proper markdown formatting: use **bold** for emphasis, `code` for code snippets, ```code blocks``` for multi-line code, and add line breaks between paragraphs for readability.');
-  const simplePrompt = `${systemPrompt}\nRecent: ${history.map(h => `${h.role}: ${h.content}`).join('\n')}\nUser: ${message}\nAssistant:`;
 
-  // Generate result quickly prioritizing Gemini
   let result = '';
-  try {
-    if (hasGeminiKey) {
-      if (attachments && Array.isArray(attachments) && attachments.length > 0) {
-        result = await callGeminiWithAttachments(message, attachments, history, systemPrompt, true);
-      } else {
-        result = await callGemini(simplePrompt, 'models/gemini-2.5-flash', true);
-      }
-    }
-    if (!result && hasOpenAIKey) {
-      result = await callOpenAI(message, [{ role: 'system', content: systemPrompt }, ...history, { role: 'user', content: message }], true);
+  let generated = { provider: null, incomplete: false };
+  let toolResults = [];
+  let experiment = null;
+  let attachmentErrors = [];
+  const hasAttachments = Array.isArray(attachments) && attachments.length > 0;
+  // Assistant runs are polled, so the reply arrives as one delta
+  const assisted = useAssistant && !route.lockedMessage && !hasAttachments
+    ? await runAssistant(req, { message, tier, systemPrompt, steps: applyVariant(route.steps, variant) })
+    : null;
+  if (route.lockedMessage) {
+    onDelta(route.lockedMessage);
+    result = route.lockedMessage;
+  } else if (assisted) {
+    onDelta(assisted.text);
+    result = sent;
+    toolResults = assisted.toolResults;
+    generated = { provider: 'assistant', incomplete: false };
+  } else {
+    const startedAt = Date.now();
+    try {
+      const input = await prepareAttachments(message, attachments, { uid, tier, onUsage: usageFor(req, 'documents', tier) });
+      attachmentErrors = input.errors;
+      generated = await runProviderChainStream(applyVariant(route.steps, variant), {
+        message: input.message,
+        systemPrompt,
+        history,
+        historyBudgeted: !!context.budgeted,
+        attachments: input.attachments.length ? input.attachments : undefined,
+        fast: true,
+      }, onDelta, { label: 'processMessageStream', signal: controller.signal, onUsage: usageFor(req, 'chat', tier) });
+      result = sent;
+    } catch (e) {
+      console.error('[processMessageStream] generation error:', e.message || e);
+      result = sent;
     }
-    if (!result && hasGrokKey && mode === 'night') {
-      result = await callGrok(message, [{ role: 'system', content: systemPrompt }, ...history, { role: 'user', content: message }], true);
+    if (variant) experiment = experimentFields(variant, startedAt);
+  }
+
+  if (aborted) {
+    // The client left mid-reply. Whatever it already received still counts, is logged
+    // and saved - only the closing events can't be written any more.
+    if (sent.trim()) {
+      console.log(`[processMessageStream] 🔌 Client disconnected after ${sent.length} chars - recording partial reply`);
+      recordExchange(uid, {
+        message,
+        result: sent,
+        mode,
+        conversationId,
+        tier,
+        prompt,
+        provider: generated.provider,
+        experiment,
+        logRef: aiLogsRef(uid).doc(),
+        incomplete: true,
+      }, 'processMessageStream');
+      if (useAssistant && !assisted) syncAssistantThread(req, message, sent, 'processMessageStream');
     }
-  } catch (e) {
-    console.error('[processMessageStream] generation error:', e.message || e);
-    result = '';
+    return;
   }
 
-  // Only shorten if explicitly requested AND result is very long (to prevent truncation of normal responses)
-  if (replyStyle === 'short' && result && result.length > 500) {
-    result = shortenToTwoSentences(result);
-    console.log(`[processMessageStream] 📝 Shortened response to 2 sentences (was ${result.length} chars)`);
+  if (!result || !result.trim()) {
+    console.error('[processMessageStream] Empty result from all AI providers');
+    if (experiment) recordEmptyReply(uid, { message, mode, experiment }, 'processMessageStream');
+    writer.error('empty_response', 'AI returned empty response');
+    writer.done({ provider: null, length: 0 });
+    return;
   }
 
-  // Get quota (non-blocking semantics ok here)
+  // Get quota (before incrementing, same as processMessage)
   let quota = null;
   try {
     quota = await getRemainingQuota(uid, tier);
@@ -1279,41 +1241,265 @@ async function processMessageStream(req, res) {
     // ignore quota errors in stream
   }
 
-  const action = detectBackgroundAction(message, result);
+  const toolFields = toolResultFields(toolResults);
+  const action = toolFields.backgroundAction || detectBackgroundAction(message, result, { toolsDecided: viaTools });
 
-  // Streaming headers
-  res.setHeader('Content-Type', 'text/plain; charset=utf-8');
-  res.setHeader('Cache-Control', 'no-cache');
-  res.setHeader('X-Accel-Buffering', 'no');
+  writer.action(action, { intent: toolFields.intent, pendingAction: toolFields.pendingAction });
+  writer.quota(quota);
+  const logRef = aiLogsRef(uid).doc();
+  writer.done({
+    provider: generated.provider,
+    length: result.length,
+    incomplete: !!generated.incomplete,
+    conversationId,
+    messageId: logRef.id,
+    attachmentErrors: attachmentErrors.length ? attachmentErrors : undefined,
+  });
 
-  let aborted = false;
-  req.on('aborted', () => { aborted = true; });
-  req.on('close', () => { aborted = true; });
+  // ===== BACKGROUND TASKS (non-blocking) =====
+  recordExchange(uid, {
+    message,
+    result,
+    mode,
+    conversationId,
+    tier,
+    prompt,
+    provider: generated.provider,
+    experiment,
+    logRef,
+    incomplete: !!generated.incomplete,
+  }, 'processMessageStream');
+  if (useAssistant && !assisted) syncAssistantThread(req, message, result, 'processMessageStream');
+}
+
+// ===== FEEDBACK AND REGENERATE =====
+
+const FEEDBACK_REASONS = ['inaccurate', 'unhelpful', 'too_long', 'too_short', 'wrong_language', 'inappropriate', 'other'];
+const MAX_FEEDBACK_TEXT = 1000;
+// Regenerating a 👎 reply is free this many times per turn (counted on the turn's first reply)
+const MAX_FREE_REGENERATIONS = 3;
+// The provider that gave the previous answer only gets another go with more randomness
+const REGENERATE_TEMPERATURE = 1.0;
+
+/**
+ * Rate a reply: { messageId, rating: 'up' | 'down', reason?, text? }.
+ * Stored on its ai_logs entry; rating again replaces the earlier feedback.
+ */
+async function feedback(req, res) {
+  const uid = req.userId;
+  const { messageId, rating, reason, text } = req.body || {};
+  const isDemo = uid === 'demo' || req.query.demo === 'true';
+
+  if (!messageId) return res.status(400).json({ error: 'messageId required' });
+  if (rating !== 'up' && rating !== 'down') return res.status(400).json({ error: 'rating must be "up" or "down"' });
 
+  const entry = {
+    rating,
+    reason: reason ? (FEEDBACK_REASONS.includes(reason) ? reason : 'other') : null,
+    text: typeof text === 'string' && text.trim() ? text.trim().substring(0, MAX_FEEDBACK_TEXT) : null,
+  };
+
+  if (isDemo) {
+    return ok(res, { messageId, feedback: entry, demo: true });
+  }
+
+  try {
+    const ref = aiLogsRef(uid).doc(String(messageId));
+    const doc = await ref.get();
+    if (!doc.exists) return res.status(404).json({ error: 'Message not found' });
+    await ref.update({ feedback: { ...entry, createdAt: admin.firestore.Timestamp.now() } });
+    console.log(`[Feedback] ${rating === 'up' ? '👍' : '👎'} ${messageId}${entry.reason ? ` (${entry.reason})` : ''}`);
+    return ok(res, { messageId, feedback: entry });
+  } catch (e) {
+    console.error('[Feedback] Firestore error:', e.message);
+    return res.status(500).json({ error: 'Failed to save feedback', detail: e.message });
+  }
+}
+
+/// Chain for a regenerated reply: starts after the provider that gave the previous
+/// answer, which goes last at a higher temperature (so a single-provider chain still varies)
+function regenerateSteps(steps, previousProvider) {
+  const index = steps.findIndex((step) => step.provider === previousProvider);
+  if (index === -1) return steps.map((step) => ({ ...step, temperature: REGENERATE_TEMPERATURE }));
+  return [...steps.slice(index + 1), ...steps.slice(0, index), { ...steps[index], temperature: REGENERATE_TEMPERATURE }];
+}
+
+/// Context for re-running a logged turn - without the exchange being replaced
+async function regenerateContext(uid, log, conversationHistory, tier) {
+  const context = await resolveContext(uid, log.conversationId, conversationHistory, tier);
+  if (!context) return null;
+  const { history } = context;
+  const last = history[history.length - 1];
+  const previous = history[history.length - 2];
+  if (last?.role === 'assistant' && last.content === log.response && previous?.content === log.text) {
+    return { ...context, history: history.slice(0, -2) };
+  }
+  return context;
+}
+
+/**
+ * Take one of a turn's free regenerations. They are counted on the turn's first ai_logs
+ * entry, so regenerating any reply in the chain (or the same one again) uses up the same
+ * allowance. Resolves to true when one was left.
+ */
+async function claimFreeRegeneration(uid, rootId) {
+  const rootRef = aiLogsRef(uid).doc(rootId);
+  return getDb().runTransaction(async (tx) => {
+    const root = await tx.get(rootRef);
+    if (!root.exists) return false;
+    const used = root.data().freeRegenerations || 0;
+    if (used >= MAX_FREE_REGENERATIONS) return false;
+    tx.update(rootRef, { freeRegenerations: used + 1 });
+    return true;
+  });
+}
+
+/// Give back a free regeneration that produced no reply
+function releaseFreeRegeneration(uid, rootId) {
+  aiLogsRef(uid).doc(rootId)
+    .update({ freeRegenerations: admin.firestore.FieldValue.increment(-1) })
+    .catch(err => console.error('[regenerate] Free regeneration release error:', err.message));
+}
+
+/**
+ * Another answer for a logged turn: { messageId, tierLevel?, conversationHistory?, attachments?,
+ * userName?, language?, replyStyle? }. Uses the turn's mode, persona and prompt version with the
+ * next provider (regenerateSteps). Doesn't count against quota when the reply was rated down,
+ * up to MAX_FREE_REGENERATIONS per turn and without new attachments.
+ * The new reply gets its own messageId and replaces the old one in the conversation.
+ */
+async function regenerate(req, res) {
+  const uid = req.userId;
+  const { messageId, conversationHistory, tierLevel, replyStyle, attachments } = req.body || {};
+  const isDemo = uid === 'demo' || req.query.demo === 'true';
+
+  if (!messageId) return res.status(400).json({ error: 'messageId required' });
+
+  if (isDemo) {
+    return ok(res, { response: 'Here is another take on that (demo).', messageId: `demo_${Date.now()}`, regeneratedFrom: messageId, demo: true });
+  }
+
+  const tier = tierLevel || 'free';
+  const logDoc = await aiLogsRef(uid).doc(String(messageId)).get();
+  if (!logDoc.exists) return res.status(404).json({ error: 'Message not found' });
+  const log = logDoc.data();
+  if (!log.response || log.action) return res.status(400).json({ error: 'Only AI replies can be regenerated' });
+
+  const route = resolveRoute(log.mode, tier);
+  if (route.lockedMessage) return res.status(403).json({ error: route.lockedMessage });
+
+  // A reply rated down was our miss - trying again doesn't use up the user's messages.
+  // New attachments make it a new question, so those are charged like one.
+  const rootId = log.regenerationRootId || log.regeneratedFrom || String(messageId);
+  const hasAttachments = Array.isArray(attachments) && attachments.length > 0;
+  // A free regeneration that ends without a reply is given back
+  let free = false;
+  let prompt;
+  let input;
+  let generated;
+  try {
+    const context = await regenerateContext(uid, log, conversationHistory, tier);
+    if (!context) return res.status(404).json({ error: 'Conversation not found' });
+    // A persona deleted since then is simply left out
+    const persona = (await resolvePersona(uid, log.personaId)) || undefined;
+    prompt = await buildSystemPrompt(uid, log.mode, log.text, context, {
+      vars: promptVars(req.body),
+      persona,
+      version: log.promptVersion,
+    });
+
+    free = log.feedback?.rating === 'down' && !hasAttachments && await claimFreeRegeneration(uid, rootId);
+    if (!free) {
+      const limitCheck = await checkUsageLimits(uid, tier, false, 'regenerate');
+      if (!limitCheck.allowed) return res.status(429).json(limitExceededBody(limitCheck));
+    }
+
+    const { historyLimit } = getRoutingConfig();
+    input = await prepareAttachments(log.text, attachments, {
+      uid,
+      tier,
+      onUsage: usageRecorder(uid, { route: 'documents', mode: log.mode, tier }),
+    });
+    generated = await runProviderChain(regenerateSteps(route.steps, log.provider), {
+      message: input.message,
+      systemPrompt: prompt.text,
+      history: context.budgeted ? context.history : context.history.slice(-historyLimit),
+      historyBudgeted: !!context.budgeted,
+      attachments: input.attachments.length ? input.attachments : undefined,
+    }, 'regenerate', { onUsage: usageRecorder(uid, { route: 'regenerate', mode: log.mode, tier }) });
+  } catch (e) {
+    console.error('[regenerate] Error:', e.message || e);
+    if (free) releaseFreeRegeneration(uid, rootId);
+    return res.status(500).json(errorBody(e));
+  }
+
+  let result = truncateResponse(generated.text, 'regenerate');
   if (!result || !result.trim()) {
-    res.end('');
-    return;
+    console.error('[regenerate] Empty result from all AI providers');
+    if (free) releaseFreeRegeneration(uid, rootId);
+    return res.status(500).json({ error: 'AI returned empty response', detail: 'No AI provider returned a response' });
   }
+  if (replyStyle === 'short' && result.length > 500) result = shortenToTwoSentences(result);
 
-  // Write clauses progressively
-  const clauses = result.split(/(?<=[\.\!\?।])\s+/).filter(Boolean);
-  for (const c of clauses) {
-    if (aborted) break;
-    res.write(c + ' ');
-    await new Promise(r => setTimeout(r, 20));
+  let quota = null;
+  try {
+    quota = await getRemainingQuota(uid, tier);
+  } catch (e) {
+    console.error('[regenerate] Error getting quota:', e.message);
   }
 
-  if (!aborted) {
-    // Final metadata trailer
-    res.write(`\n` + JSON.stringify({ action, quota }));
-    res.end();
+  const logRef = aiLogsRef(uid).doc();
+  const response = ok(res, {
+    response: result,
+    messageId: logRef.id,
+    regeneratedFrom: messageId,
+    free: free || undefined,
+    attachmentErrors: input.errors.length ? input.errors : undefined,
+    quota: quota || undefined,
+    conversationId: log.conversationId || undefined,
+  });
+
+  // ===== BACKGROUND TASKS (non-blocking) =====
+  logReply(logRef, {
+    message: log.text,
+    result,
+    mode: log.mode,
+    conversationId: log.conversationId,
+    prompt,
+    provider: generated.provider,
+    regeneratedFrom: messageId,
+    regenerationRootId: rootId,
+    regenerationDepth: (log.regenerationDepth || 0) + 1,
+  }, 'regenerate');
+  if (!free) {
+    incrementMessageCount(uid)
+      .catch(err => console.error('[regenerate] Background usage increment error:', err.message));
   }
+  if (log.conversationId) {
+    replaceLastReply(uid, log.conversationId, log.response, result)
+      .then((replaced) => console.log(`[regenerate] ${replaced ? '✅ Replaced reply in' : '⏭️ Newer messages in'} conversation ${log.conversationId}`))
+      .catch(err => console.error('[regenerate] Background conversation update error:', err.message));
+  }
+
+  return response;
 }
 
-module.exports = { processMessage, processMessageStream, voiceIntent };
+module.exports = { processMessage, processMessageStream, voiceIntent, feedback, regenerate };
 
 
 
+/// Index just past the second sentence terminator (followed by whitespace), or -1
+function twoSentenceCutoff(text) {
+  const re = /[\.\!\?।](?=\s)/g;
+  let count = 0;
+  let match;
+  while ((match = re.exec(text)) !== null) {
+    count++;
+    if (count >= 2 && match.index + 1 >= 20) return match.index + 1;
+  }
+  return -1;
+}
+
 function shortenToTwoSentences(text) {
   try {
     const t = (text || '').trim();
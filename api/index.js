@@ -13,6 +13,7 @@ module.exports = async (req, res) => {
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'GET,POST,PUT,DELETE,OPTIONS');
   res.setHeader('Access-Control-Allow-Headers', 'Content-Type,Authorization,x-demo,firebase-auth-token,x-stream,X-Stream');
+  res.setHeader('Access-Control-Expose-Headers', 'X-Stream-Id');
   
   // Handle OPTIONS preflight
   if (req.method === 'OPTIONS') {
@@ -94,7 +95,9 @@ module.exports = async (req, res) => {
           const utils = require('../utils');
           const requireAuth = utils.requireAuth;
           const asyncHandler = utils.asyncHandler;
+          const requireAdmin = utils.requireAdmin;
           const ai = require('../ai');
+          const speech = require('../speech');
           
           state.app.post('/ai/process', requireAuth, asyncHandler(async (req, res) => {
             const wantsStream = req.headers['x-stream'] === '1' || req.body?.stream === true;
@@ -105,15 +108,49 @@ module.exports = async (req, res) => {
           }));
           
           state.app.post('/voice/intent', requireAuth, asyncHandler(ai.voiceIntent));
+          state.app.post('/voice/transcribe', requireAuth, asyncHandler(speech.transcribe));
+          state.app.post('/ai/feedback', requireAuth, asyncHandler(ai.feedback));
+          state.app.post('/ai/regenerate', requireAuth, asyncHandler(ai.regenerate));
           
           const schedule = require('../schedule');
           const expense = require('../expense');
           const razorpay = require('../razorpay');
+          const conversations = require('../conversations');
+          const memories = require('../memories');
+          const personas = require('../personas');
+          const pendingActions = require('../pending-actions');
+          const actionLog = require('../action-log');
+          const providerHealth = require('../provider-health');
+          const usageLedger = require('../usage-ledger');
+          const experiments = require('../experiments');
+          const attachments = require('../attachments');
           
           state.app.post('/schedule/add', requireAuth, asyncHandler(schedule.add));
           state.app.get('/schedule/list', requireAuth, asyncHandler(schedule.list));
           state.app.post('/expense/add', requireAuth, asyncHandler(expense.add));
           state.app.get('/report/monthly', requireAuth, asyncHandler(expense.monthly));
+          state.app.post('/conversations', requireAuth, asyncHandler(conversations.create));
+          state.app.get('/conversations', requireAuth, asyncHandler(conversations.list));
+          state.app.put('/conversations/:id', requireAuth, asyncHandler(conversations.rename));
+          state.app.delete('/conversations/:id', requireAuth, asyncHandler(conversations.remove));
+          state.app.get('/conversations/:id/messages', requireAuth, asyncHandler(conversations.messages));
+          state.app.get('/memories', requireAuth, asyncHandler(memories.list));
+          state.app.post('/memories', requireAuth, asyncHandler(memories.add));
+          state.app.put('/memories/:id', requireAuth, asyncHandler(memories.update));
+          state.app.delete('/memories/:id', requireAuth, asyncHandler(memories.remove));
+          state.app.get('/personas', requireAuth, asyncHandler(personas.list));
+          state.app.post('/personas', requireAuth, asyncHandler(personas.create));
+          state.app.put('/personas/:id', requireAuth, asyncHandler(personas.update));
+          state.app.delete('/personas/:id', requireAuth, asyncHandler(personas.remove));
+          state.app.post('/attachments', requireAuth, asyncHandler(attachments.upload));
+          state.app.post('/actions/undo', requireAuth, asyncHandler(actionLog.undo));
+          state.app.get('/actions/history', requireAuth, asyncHandler(actionLog.history));
+          state.app.post('/actions/:id/confirm', requireAuth, asyncHandler(pendingActions.confirm));
+          state.app.post('/actions/:id/cancel', requireAuth, asyncHandler(pendingActions.cancel));
+          state.app.get('/diagnostics/providers', requireAuth, requireAdmin, asyncHandler(providerHealth.diagnostics));
+          state.app.get('/usage/costs', requireAuth, requireAdmin, asyncHandler(usageLedger.costReport));
+          state.app.get('/experiments/report', requireAuth, requireAdmin, asyncHandler(experiments.report));
+          state.app.post('/attachments/cleanup', requireAuth, requireAdmin, asyncHandler(attachments.cleanup));
           state.app.post('/razorpay/create-order', requireAuth, asyncHandler(razorpay.createOrder));
           state.app.post('/razorpay/verify-payment', requireAuth, asyncHandler(razorpay.verifyPayment));
           
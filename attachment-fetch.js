@@ -0,0 +1,218 @@
+const dns = require('dns');
+const net = require('net');
+const https = require('https');
+const admin = require('firebase-admin');
+
+// The only way attachment URLs from clients are downloaded.
+//
+// - https only, and only from our Firebase Storage buckets or hosts listed in
+//   ATTACHMENT_HOSTS (comma-separated, e.g. "cdn.example.com,files.example.com").
+//   Buckets are FIREBASE_STORAGE_BUCKET, else the app's storageBucket / project defaults.
+// - Every resolved address is checked at connect time, so private, loopback and
+//   link-local targets are refused even behind DNS tricks or redirects.
+// - The body is streamed with a byte cap, and the type is decided by sniffing the
+//   bytes (magic numbers), not by the URL or the Content-Type header.
+//
+// Failures throw an Error whose message can be shown to the user as is.
+
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+const MAX_DOCUMENT_BYTES = 10 * 1024 * 1024;
+const FETCH_TIMEOUT_MS = 10000;
+const MAX_REDIRECTS = 3;
+
+const STORAGE_HOSTS = ['firebasestorage.googleapis.com', 'storage.googleapis.com'];
+
+// What each kind of attachment may turn out to be (sniffed MIME types)
+const ALLOWED_TYPES = {
+  image: ['image/jpeg', 'image/png', 'image/gif', 'image/webp', 'image/heic'],
+  document: [
+    'application/pdf',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    'text/plain',
+    'text/csv',
+    'text/markdown',
+  ],
+};
+
+const TEXT_TYPES = ['text/plain', 'text/csv', 'text/markdown'];
+
+// Addresses attachments may never be fetched from (IPv4 and IPv6 CIDRs)
+const BLOCKED_RANGES = new net.BlockList();
+for (const [address, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4],
+]) BLOCKED_RANGES.addSubnet(address, prefix, 'ipv4');
+for (const [address, prefix] of [
+  ['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+]) BLOCKED_RANGES.addSubnet(address, prefix, 'ipv6');
+
+function isBlockedAddress(address) {
+  const family = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+  // ::ffff:10.0.0.1 is 10.0.0.1
+  const mapped = family === 'ipv6' && address.toLowerCase().match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+  if (mapped) return BLOCKED_RANGES.check(mapped[1], 'ipv4');
+  return BLOCKED_RANGES.check(address, family);
+}
+
+function storageBuckets() {
+  if (process.env.FIREBASE_STORAGE_BUCKET) return [process.env.FIREBASE_STORAGE_BUCKET];
+  const options = admin.apps.length ? admin.app().options : {};
+  if (options.storageBucket) return [options.storageBucket];
+  const projectId = options.projectId || options.credential?.projectId || process.env.GCLOUD_PROJECT || process.env.GOOGLE_CLOUD_PROJECT;
+  return projectId ? [`${projectId}.appspot.com`, `${projectId}.firebasestorage.app`] : [];
+}
+
+function configuredHosts() {
+  return (process.env.ATTACHMENT_HOSTS || '').split(',').map((h) => h.trim().toLowerCase()).filter(Boolean);
+}
+
+/// Bucket a Storage URL points at: /v0/b/{bucket}/o/... or /{bucket}/...
+function bucketOfUrl(url) {
+  const parts = url.pathname.split('/').filter(Boolean);
+  if (url.hostname === 'firebasestorage.googleapis.com') return parts[0] === 'v0' && parts[1] === 'b' ? decodeURIComponent(parts[2] || '') : null;
+  return decodeURIComponent(parts[0] || '');
+}
+
+/**
+ * Parsed URL if attachments may be fetched from it, otherwise throws with the reason
+ */
+function checkAttachmentUrl(rawUrl) {
+  let url;
+  try {
+    url = new URL(String(rawUrl));
+  } catch (e) {
+    throw new Error('invalid URL');
+  }
+  if (url.protocol !== 'https:') throw new Error('only https URLs are allowed');
+  if (url.username || url.password) throw new Error('URLs with credentials are not allowed');
+
+  const host = url.hostname.toLowerCase();
+  if (net.isIP(host.replace(/^\[|\]$/g, ''))) throw new Error('IP address URLs are not allowed');
+  if (configuredHosts().includes(host)) return url;
+  if (STORAGE_HOSTS.includes(host)) {
+    if (storageBuckets().includes(bucketOfUrl(url))) return url;
+    throw new Error('files from this storage bucket are not allowed');
+  }
+  throw new Error(`files from ${host} are not allowed`);
+}
+
+/// dns.lookup that refuses blocked addresses - used for the actual connection
+function guardedLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+    if (blocked) return callback(new Error(`${hostname} resolves to a private address`));
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+/// 'image' / 'document' for an allowed (sniffed) MIME type, else null
+function attachmentKindOf(mimeType) {
+  return Object.keys(ALLOWED_TYPES).find((kind) => ALLOWED_TYPES[kind].includes(mimeType)) || null;
+}
+
+/// Sniffed MIME type of a file (download or upload), or null
+function sniffMimeType(buffer, declaredType) {
+  const ascii = buffer.subarray(0, 12).toString('latin1');
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'image/jpeg';
+  if (ascii.startsWith('\x89PNG\r\n\x1a\n')) return 'image/png';
+  if (ascii.startsWith('GIF87a') || ascii.startsWith('GIF89a')) return 'image/gif';
+  if (ascii.startsWith('RIFF') && ascii.substring(8, 12) === 'WEBP') return 'image/webp';
+  if (ascii.substring(4, 8) === 'ftyp' && /^(heic|heix|mif1)$/.test(ascii.substring(8, 12))) return 'image/heic';
+  if (ascii.startsWith('%PDF-')) return 'application/pdf';
+  // A DOCX is a zip file; mammoth checks the rest when it is read
+  if (ascii.startsWith('PK\x03\x04')) {
+    return declaredType === 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' ? declaredType : null;
+  }
+  if (isText(buffer)) return TEXT_TYPES.includes(declaredType) ? declaredType : 'text/plain';
+  return null;
+}
+
+/// UTF-8 without control characters (other than whitespace) in the first 4KB
+function isText(buffer) {
+  const sample = buffer.subarray(0, 4096);
+  try {
+    // stream: true - the sample may end in the middle of a character
+    const text = new TextDecoder('utf-8', { fatal: true }).decode(sample, { stream: true });
+    return !/[\x00-\x08\x0e-\x1f]/.test(text);
+  } catch (e) {
+    return false;
+  }
+}
+
+/// One GET without following redirects. Resolves to { status, location, contentType, buffer }.
+function download(url, maxBytes, signal) {
+  return new Promise((resolve, reject) => {
+    const fail = (e) => reject(e.name === 'AbortError' ? new Error('download timed out') : e);
+    const req = https.get(url, { lookup: guardedLookup, signal, headers: { 'user-agent': 'humsafer-attachments' } }, (res) => {
+      const contentType = String(res.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+      if (res.statusCode >= 300 && res.statusCode < 400) {
+        res.resume();
+        return resolve({ status: res.statusCode, location: res.headers.location });
+      }
+      if (res.statusCode !== 200) {
+        res.resume();
+        return reject(new Error(`download failed (HTTP ${res.statusCode})`));
+      }
+      if (Number(res.headers['content-length']) > maxBytes) {
+        res.destroy();
+        return reject(new Error(`file is too large (max ${maxBytes / (1024 * 1024)}MB)`));
+      }
+      const chunks = [];
+      let size = 0;
+      res.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > maxBytes) {
+          res.destroy();
+          return reject(new Error(`file is too large (max ${maxBytes / (1024 * 1024)}MB)`));
+        }
+        chunks.push(chunk);
+      });
+      res.on('end', () => resolve({ status: 200, contentType, buffer: Buffer.concat(chunks) }));
+      res.on('error', fail);
+    });
+    req.on('error', fail);
+  });
+}
+
+/**
+ * Download a client-supplied attachment URL safely.
+ * Resolves to { buffer, mimeType } where mimeType is sniffed from the content.
+ *   kind: 'image' | 'document' - which types are accepted, and the size cap
+ *   declaredType: the client's mimeType, to tell text types (and DOCX from other zips) apart
+ */
+async function fetchAttachment(rawUrl, { kind, declaredType } = {}) {
+  const allowed = ALLOWED_TYPES[kind];
+  if (!allowed) throw new Error(`unsupported attachment type "${kind}"`);
+  const maxBytes = kind === 'image' ? MAX_IMAGE_BYTES : MAX_DOCUMENT_BYTES;
+  const signal = AbortSignal.timeout(FETCH_TIMEOUT_MS);
+
+  let url = checkAttachmentUrl(rawUrl);
+  for (let redirects = 0; ; redirects++) {
+    const result = await download(url, maxBytes, signal);
+    if (result.status === 200) {
+      const declared = String(declaredType || result.contentType || '').toLowerCase();
+      const mimeType = sniffMimeType(result.buffer, declared);
+      if (!mimeType || !allowed.includes(mimeType)) {
+        throw new Error(kind === 'image' ? 'not a supported image (JPEG, PNG, GIF, WebP, HEIC)' : 'not a supported document (PDF, DOCX, TXT, CSV)');
+      }
+      return { buffer: result.buffer, mimeType };
+    }
+    if (!result.location) throw new Error(`download failed (HTTP ${result.status})`);
+    if (redirects >= MAX_REDIRECTS) throw new Error('too many redirects');
+    // Redirect targets go through the same host and address checks
+    url = checkAttachmentUrl(new URL(result.location, url).toString());
+  }
+}
+
+module.exports = {
+  fetchAttachment,
+  checkAttachmentUrl,
+  sniffMimeType,
+  attachmentKindOf,
+  isBlockedAddress,
+  storageBuckets,
+  MAX_IMAGE_BYTES,
+  MAX_DOCUMENT_BYTES,
+};
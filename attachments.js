@@ -0,0 +1,329 @@
+const crypto = require('crypto');
+const admin = require('firebase-admin');
+const Busboy = require('busboy');
+const { ok } = require('./utils');
+const { getSubscriptionTier, reserveDailyQuota, releaseDailyQuota } = require('./usage-limits');
+const {
+  fetchAttachment, sniffMimeType, attachmentKindOf, storageBuckets, MAX_IMAGE_BYTES,
+} = require('./attachment-fetch');
+const { prepareDocuments } = require('./documents');
+const db = admin.firestore();
+
+// Attachments: uploads, and loading attachments for /ai/process.
+//
+// POST /attachments (multipart/form-data, one `file` field) stores the file in Firebase
+// Storage under users/{uid}/attachments/{id}, with its metadata in the Firestore doc of
+// the same path. The returned id can be used as { attachmentId } in /ai/process
+// attachments and as `imageUrl` on /expense/add. Uploads nothing references expire
+// after UNREFERENCED_TTL_MS and are removed by cleanupExpired().
+//
+// Attachments on /ai/process and /ai/regenerate - [{ attachmentId }] or
+// [{ fileType: 'image' | 'document', url, fileName?, mimeType? }] - are all loaded here
+// before the provider chain runs: uploads from Storage, URLs through attachment-fetch.js.
+// Providers only ever see the bytes ({ data, mimeType }), never a client URL. Images go
+// to the providers as inline data; documents become text (documents.js). An attachment
+// that can't be used is reported back per attachment and named in the prompt, and the
+// rest of the request goes ahead.
+
+const MAX_ATTACHMENTS = 5;  // per message
+const UNREFERENCED_TTL_MS = 24 * 60 * 60 * 1000;
+const CLEANUP_BATCH = 200;
+
+// Per-file size and uploads per day (UTC), by the server-side subscription tier
+const UPLOAD_LIMITS = {
+  free: { fileBytes: 5 * 1024 * 1024, daily: 20 },
+  tier1: { fileBytes: 10 * 1024 * 1024, daily: 100 },
+  tier2: { fileBytes: 10 * 1024 * 1024, daily: 300 },
+  tier3: { fileBytes: 10 * 1024 * 1024, daily: 1000 },
+};
+
+function attachmentsRef(uid) {
+  return db.collection('users').doc(uid).collection('attachments');
+}
+
+/// Firebase download URL - it passes the attachment-fetch allow-list for our bucket
+function downloadUrl({ bucket, storagePath, downloadToken }) {
+  return `https://firebasestorage.googleapis.com/v0/b/${bucket}/o/${encodeURIComponent(storagePath)}?alt=media&token=${downloadToken}`;
+}
+
+function megabytes(bytes) {
+  return `${Math.round(bytes / (1024 * 1024))}MB`;
+}
+
+/// Firestore auto ids, as returned by POST /attachments
+function isUploadId(value) {
+  return typeof value === 'string' && /^[A-Za-z0-9]{20}$/.test(value);
+}
+
+function serialize(id, data) {
+  return {
+    id,
+    fileType: data.fileType,
+    fileName: data.fileName,
+    mimeType: data.mimeType,
+    size: data.size,
+    url: downloadUrl(data),
+    referenced: !!data.referenced,
+    expiresAt: data.expiresAt?.toDate?.().toISOString() || null,
+  };
+}
+
+/**
+ * A user's upload ({ id, fileType, fileName, mimeType, size, url, bucket, storagePath, ... }), or null
+ */
+async function loadUpload(uid, attachmentId) {
+  const doc = await attachmentsRef(uid).doc(String(attachmentId)).get();
+  if (!doc.exists) return null;
+  const data = doc.data();
+  return { ...serialize(doc.id, data), bucket: data.bucket, storagePath: data.storagePath };
+}
+
+/**
+ * Keep uploads that a message or an expense now points at (background)
+ */
+function markReferenced(uid, attachmentIds) {
+  for (const id of new Set(attachmentIds)) {
+    attachmentsRef(uid).doc(id).update({
+      referenced: true,
+      referencedAt: admin.firestore.FieldValue.serverTimestamp(),
+      expiresAt: admin.firestore.FieldValue.delete(),
+    }).catch((err) => console.error(`[Attachments] Failed to mark ${id} referenced:`, err.message));
+  }
+}
+
+/**
+ * One file from a multipart/form-data request, read into memory up to maxBytes.
+ * Resolves to { file, fields }: file is { buffer, fileName, declaredType, tooLarge } or null
+ * when the request has no part named `field`; fields holds the text fields.
+ */
+function readMultipartFile(req, { field, maxBytes }) {
+  return new Promise((resolve, reject) => {
+    let busboy;
+    try {
+      busboy = Busboy({ headers: req.headers, limits: { files: 1, fileSize: maxBytes, fields: 30, fieldSize: 64 * 1024 } });
+    } catch (e) {
+      return reject(e);
+    }
+    let file = null;
+    const fields = {};
+    busboy.on('field', (name, value) => { fields[name] = value; });
+    busboy.on('file', (name, stream, { filename, mimeType }) => {
+      if (name !== field) return stream.resume();
+      const chunks = [];
+      file = { fileName: filename || 'upload', declaredType: String(mimeType || '').toLowerCase(), tooLarge: false };
+      stream.on('data', (chunk) => chunks.push(chunk));
+      stream.on('limit', () => { file.tooLarge = true; });
+      stream.on('end', () => { file.buffer = Buffer.concat(chunks); });
+    });
+    busboy.on('close', () => resolve({ file, fields }));
+    busboy.on('error', reject);
+    req.pipe(busboy);
+  });
+}
+
+// ===== ATTACHMENTS FOR THE PROVIDER CHAIN =====
+
+/// One attachment's bytes: { index, fileType, fileName, mimeType, buffer, attachmentId? } or { index, fileName, error }
+async function loadAttachment(uid, { attachment, index, fileName }) {
+  try {
+    if (attachment.attachmentId) {
+      if (!uid || uid === 'demo') throw new Error('uploads are not available in demo mode');
+      const stored = await loadUpload(uid, attachment.attachmentId);
+      if (!stored) throw new Error('upload not found (it may have expired)');
+      const [buffer] = await admin.storage().bucket(stored.bucket).file(stored.storagePath).download();
+      return {
+        index,
+        fileType: stored.fileType,
+        fileName: attachment.fileName || stored.fileName,
+        mimeType: stored.mimeType,
+        buffer,
+        attachmentId: stored.id,
+      };
+    }
+    if (!attachment.url) throw new Error('no url');
+    const { buffer, mimeType } = await fetchAttachment(attachment.url, { kind: attachment.fileType, declaredType: attachment.mimeType });
+    return { index, fileType: attachment.fileType, fileName, mimeType, buffer };
+  } catch (e) {
+    console.error(`[Attachments] ❌ ${fileName}:`, e.message);
+    return { index, fileName, error: e.message };
+  }
+}
+
+/**
+ * Load and prepare a request's attachments for the provider chain.
+ * Resolves to { message, attachments, errors }: the message with document text and notes
+ * about unusable attachments appended, the parts for the providers, and
+ * [{ index, fileName, error }] for every attachment that was rejected (index into the request's list).
+ *   options: { uid, tier, onUsage } - uid for uploads; tier / onUsage are passed on to prepareDocuments
+ */
+async function prepareAttachments(message, attachments, options = {}) {
+  const list = (Array.isArray(attachments) ? attachments : []).filter((a) => a && typeof a === 'object');
+  if (list.length === 0) return { message, attachments: [], errors: [] };
+
+  const rejected = [];
+  const accepted = [];
+  list.forEach((attachment, index) => {
+    const urlName = typeof attachment.url === 'string' ? attachment.url.split(/[?#]/)[0].split('/').pop() : '';
+    const fileName = attachment.fileName || urlName || `attachment ${index + 1}`;
+    if (index >= MAX_ATTACHMENTS) {
+      rejected.push({ index, fileName, error: `too many attachments (max ${MAX_ATTACHMENTS})` });
+    } else if (!attachment.attachmentId && attachment.fileType !== 'image' && attachment.fileType !== 'document') {
+      rejected.push({ index, fileName, error: 'unsupported attachment type' });
+    } else {
+      accepted.push({ attachment, index, fileName });
+    }
+  });
+
+  const loaded = await Promise.all(accepted.map((a) => loadAttachment(options.uid, a)));
+  const loadErrors = loaded.filter((a) => a.error);
+  const images = loaded.filter((a) => !a.error && a.fileType === 'image');
+  const documents = loaded.filter((a) => !a.error && a.fileType === 'document');
+  const docs = await prepareDocuments(message, documents, options);
+  // prepareDocuments keeps the order it was given
+  const documentErrors = docs.documents
+    .map((d, i) => ({ index: documents[i].index, fileName: d.fileName, error: d.error }))
+    .filter((d) => d.error);
+
+  const uploadIds = loaded.filter((a) => a.attachmentId).map((a) => a.attachmentId);
+  if (uploadIds.length) markReferenced(options.uid, uploadIds);
+
+  // Unreadable documents are already named in the document block
+  const notes = [...rejected, ...loadErrors]
+    .sort((a, b) => a.index - b.index)
+    .map(({ fileName, error }) => `[Attachment "${fileName}" could not be used: ${error}. Tell the user.]`);
+
+  return {
+    message: notes.length ? `${docs.message}\n\n${notes.join('\n')}` : docs.message,
+    attachments: [
+      ...images.map(({ fileName, mimeType, buffer }) => ({ fileType: 'image', fileName, mimeType, data: buffer.toString('base64') })),
+      ...docs.nativeParts,
+    ],
+    errors: [...rejected, ...loadErrors, ...documentErrors].sort((a, b) => a.index - b.index),
+  };
+}
+
+/**
+ * Delete expired uploads that nothing references (Storage file and doc).
+ * Resolves to the number deleted. Run it on a schedule; one call handles up to CLEANUP_BATCH.
+ */
+async function cleanupExpired() {
+  // Referenced uploads have no expiresAt, so they never match
+  const snap = await db.collectionGroup('attachments')
+    .where('expiresAt', '<', admin.firestore.Timestamp.now())
+    .limit(CLEANUP_BATCH)
+    .get();
+  let deleted = 0;
+  for (const doc of snap.docs) {
+    const { bucket, storagePath } = doc.data();
+    try {
+      await admin.storage().bucket(bucket).file(storagePath).delete({ ignoreNotFound: true });
+      await doc.ref.delete();
+      deleted += 1;
+    } catch (e) {
+      console.error(`[Attachments] Failed to delete ${storagePath}:`, e.message);
+    }
+  }
+  if (deleted) console.log(`[Attachments] 🧹 Deleted ${deleted} expired upload(s)`);
+  return deleted;
+}
+
+// ===== ENDPOINTS =====
+
+/**
+ * Upload one file (multipart/form-data, field `file`).
+ * Returns { id, fileType, fileName, mimeType, size, url, referenced, expiresAt }.
+ */
+async function upload(req, res) {
+  const uid = req.userId;
+  const isDemo = uid === 'demo' || req.query.demo === 'true';
+
+  if (!String(req.headers['content-type'] || '').toLowerCase().startsWith('multipart/form-data')) {
+    return res.status(400).json({ error: 'multipart/form-data with a file field required' });
+  }
+
+  // Demo mode - return a mock upload
+  if (isDemo) {
+    req.resume();
+    return ok(res, { id: `demo_${Date.now()}`, fileType: 'image', fileName: 'demo.jpg', mimeType: 'image/jpeg', size: 0, url: null, demo: true });
+  }
+
+  try {
+    const tier = await getSubscriptionTier(uid);
+    const limits = UPLOAD_LIMITS[tier];
+    const day = await reserveDailyQuota(uid, 'uploads', limits.daily);
+    if (!day) {
+      req.resume();
+      return res.status(429).json({ error: 'Upload limit reached', detail: `Your plan allows ${limits.daily} uploads per day.`, limit: limits.daily });
+    }
+
+    let stored = false;
+    try {
+      const { file } = await readMultipartFile(req, { field: 'file', maxBytes: limits.fileBytes });
+      if (!file) return res.status(400).json({ error: 'file required' });
+      if (file.tooLarge) {
+        return res.status(413).json({ error: 'File too large', detail: `Files up to ${megabytes(limits.fileBytes)} are allowed on your plan.` });
+      }
+
+      const mimeType = sniffMimeType(file.buffer, file.declaredType);
+      const fileType = attachmentKindOf(mimeType);
+      if (!fileType) {
+        return res.status(415).json({ error: 'Unsupported file type', detail: 'Images (JPEG, PNG, GIF, WebP, HEIC) and documents (PDF, DOCX, TXT, CSV) are supported.' });
+      }
+      if (fileType === 'image' && file.buffer.length > MAX_IMAGE_BYTES) {
+        return res.status(413).json({ error: 'File too large', detail: `Images up to ${megabytes(MAX_IMAGE_BYTES)} are allowed.` });
+      }
+
+      const ref = attachmentsRef(uid).doc();
+      const bucket = admin.storage().bucket(storageBuckets()[0]);
+      const data = {
+        fileType,
+        fileName: file.fileName.replace(/[\\/\x00-\x1f]/g, '_').substring(0, 200),
+        mimeType,
+        size: file.buffer.length,
+        bucket: bucket.name,
+        storagePath: `users/${uid}/attachments/${ref.id}`,
+        downloadToken: crypto.randomUUID(),
+        referenced: false,
+        expiresAt: admin.firestore.Timestamp.fromMillis(Date.now() + UNREFERENCED_TTL_MS),
+      };
+      await bucket.file(data.storagePath).save(file.buffer, {
+        resumable: false,
+        contentType: mimeType,
+        metadata: { metadata: { firebaseStorageDownloadTokens: data.downloadToken } },
+      });
+      await ref.set({ ...data, createdAt: admin.firestore.FieldValue.serverTimestamp() });
+      stored = true;
+
+      console.log(`[Attachments] ✅ Stored ${data.storagePath} (${mimeType}, ${data.size} bytes)`);
+      return ok(res, serialize(ref.id, data));
+    } finally {
+      if (!stored) releaseDailyQuota(uid, 'uploads', day);
+    }
+  } catch (e) {
+    console.error('[Attachments] Upload error:', e.message);
+    return res.status(500).json({ error: 'Failed to upload attachment', detail: e.message });
+  }
+}
+
+/**
+ * Delete expired unreferenced uploads now (admin only)
+ */
+async function cleanup(req, res) {
+  try {
+    return ok(res, { deleted: await cleanupExpired() });
+  } catch (e) {
+    console.error('[Attachments] Cleanup error:', e.message);
+    return res.status(500).json({ error: 'Failed to clean up attachments', detail: e.message });
+  }
+}
+
+module.exports = {
+  upload,
+  cleanup,
+  prepareAttachments,
+  cleanupExpired,
+  loadUpload,
+  markReferenced,
+  isUploadId,
+  readMultipartFile,
+};
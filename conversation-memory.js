@@ -0,0 +1,159 @@
+const admin = require('firebase-admin');
+const { runProviderChain } = require('./ai-providers');
+const { resolveRoute, resolveMemoryBudget, getRoutingConfig } = require('./ai-routing');
+const db = admin.firestore();
+
+// Rolling summary memory for long conversations.
+//
+// Turns that fall out of the recent window are folded into a running summary
+// stored on the conversation doc ({ summary, summarizedUntil }). The summary is
+// added to the system prompt, so every provider (Gemini, OpenAI, Grok) sees it.
+// Window and summary sizes come from the per-tier memory budgets in ai-routing.js.
+
+const CHARS_PER_TOKEN = 4;          // rough estimate, good enough for budgeting
+const RECENT_LOAD_LIMIT = 60;       // newest unsummarized turns considered for the prompt
+const FOLD_LOAD_LIMIT = 60;         // oldest unsummarized turns folded per summary call
+const SUMMARY_BATCH_MIN = 4;        // fold at least two exchanges per summary call
+
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / CHARS_PER_TOKEN);
+}
+
+function conversationRef(uid, conversationId) {
+  return db.collection('users').doc(uid).collection('conversations').doc(conversationId);
+}
+
+function toTurn(d) {
+  return { role: d.data().role, content: d.data().content, createdAt: d.data().createdAt };
+}
+
+function unsummarizedQuery(ref, summarizedUntil) {
+  const query = ref.collection('messages');
+  return summarizedUntil ? query.where('createdAt', '>', summarizedUntil) : query;
+}
+
+/// Newest unsummarized turns, oldest first
+async function loadRecent(ref, summarizedUntil) {
+  const snap = await unsummarizedQuery(ref, summarizedUntil)
+    .orderBy('createdAt', 'desc').limit(RECENT_LOAD_LIMIT).get();
+  return snap.docs.reverse().map(toTurn);
+}
+
+/// Oldest unsummarized turns before `before`, ascending from summarizedUntil
+async function loadFoldable(ref, summarizedUntil, before) {
+  const snap = await unsummarizedQuery(ref, summarizedUntil)
+    .where('createdAt', '<', before)
+    .orderBy('createdAt', 'asc').limit(FOLD_LOAD_LIMIT).get();
+  return snap.docs.map(toTurn);
+}
+
+/// Newest turns that fit in the token budget (always keeps the latest one)
+function fitToBudget(messages, maxTokens) {
+  const kept = [];
+  let used = 0;
+  for (let i = messages.length - 1; i >= 0; i--) {
+    used += estimateTokens(messages[i].content);
+    if (used > maxTokens && kept.length > 0) break;
+    kept.unshift(messages[i]);
+  }
+  return kept;
+}
+
+/**
+ * Summary + recent turns for a conversation.
+ * Resolves to null when the conversation doesn't exist. The history is `budgeted`: the
+ * newest unsummarized turns that fit the memory budget, and providers send all of it.
+ * Older turns wait for updateSummary to fold them, oldest first.
+ */
+async function loadConversationContext(uid, conversationId, tier) {
+  const ref = conversationRef(uid, conversationId);
+  const doc = await ref.get();
+  if (!doc.exists) return null;
+
+  const { summary, summarizedUntil } = doc.data();
+  const recent = fitToBudget(await loadRecent(ref, summarizedUntil), resolveMemoryBudget(tier).recentTokens);
+  return {
+    summary: summary || null,
+    history: recent.map(({ role, content }) => ({ role, content })),
+    budgeted: true,
+  };
+}
+
+async function summarize(previousSummary, turns, summaryTokens, tier, onUsage) {
+  const maxWords = Math.max(40, Math.floor(summaryTokens * 0.75));
+  const transcript = turns.map((t) => `${t.role}: ${t.content}`).join('\n');
+  const prompt = `Update the running memory of a conversation between a user and their AI companion.
+
+Current summary:
+${previousSummary || '(none yet)'}
+
+New turns to fold in:
+${transcript}
+
+Write the updated summary in at most ${maxWords} words. Keep names, dates, numbers, decisions, preferences and open questions. Drop small talk. Plain text only, no preamble.`;
+
+  const { text } = await runProviderChain(resolveRoute('summary', tier).steps, {
+    message: prompt,
+    systemPrompt: 'You summarize conversations faithfully and concisely.',
+    history: [],
+  }, 'ConversationMemory', { onUsage });
+
+  const trimmed = (text || '').trim();
+  return trimmed ? trimmed.substring(0, summaryTokens * CHARS_PER_TOKEN) : '';
+}
+
+/**
+ * Fold turns that fell out of the recent window into the rolling summary.
+ * Called in the background after each saved exchange; a cheap no-op until
+ * there is enough to fold.
+ */
+async function updateSummary(uid, conversationId, tier, { onUsage } = {}) {
+  const ref = conversationRef(uid, conversationId);
+  const doc = await ref.get();
+  if (!doc.exists) return;
+
+  const { summary, summarizedUntil } = doc.data();
+  const budget = resolveMemoryBudget(tier);
+  const recent = await loadRecent(ref, summarizedUntil);
+  if (recent.length === 0) return;
+
+  // Everything that fits the token budget is sent verbatim, so older turns can wait for a
+  // full batch - unless some no longer fit, which must be summarized now or they are lost.
+  // A full recent window may hide older unsummarized turns, so that counts as overflow too.
+  const fitting = fitToBudget(recent, budget.recentTokens);
+  const overflow = fitting.length < recent.length || recent.length === RECENT_LOAD_LIMIT;
+  const kept = fitting.slice(-getRoutingConfig().historyLimit);
+  if (!overflow && recent.length - kept.length < SUMMARY_BATCH_MIN) return;
+
+  // Fold from the oldest unsummarized turn forward so nothing is skipped
+  const toFold = await loadFoldable(ref, summarizedUntil, kept[0].createdAt);
+  if (toFold.length === 0) return;
+
+  console.log(`[ConversationMemory] Folding ${toFold.length} turns into summary for ${conversationId}`);
+  const nextSummary = await summarize(summary, toFold, budget.summaryTokens, tier, onUsage);
+  if (!nextSummary) {
+    console.error('[ConversationMemory] Summary generation returned empty - will retry next turn');
+    return;
+  }
+
+  await ref.update({
+    summary: nextSummary,
+    summarizedUntil: toFold[toFold.length - 1].createdAt,
+    summaryUpdatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+}
+
+/**
+ * Add the conversation summary to a system prompt
+ */
+function withConversationSummary(systemPrompt, summary) {
+  if (!summary) return systemPrompt;
+  return `${systemPrompt}\n\nSummary of the earlier conversation (for context, don't repeat it back):\n${summary}`;
+}
+
+module.exports = {
+  loadConversationContext,
+  updateSummary,
+  withConversationSummary,
+  estimateTokens,
+};
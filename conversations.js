@@ -0,0 +1,218 @@
+const admin = require('firebase-admin');
+const { ok } = require('./utils');
+const { deleteThread } = require('./openai-assistant');
+const db = admin.firestore();
+
+// Conversations live under users/{uid}/conversations/{conversationId}
+// with their turns in a `messages` subcollection ({ role, content, createdAt }).
+// Rolling summaries of older turns are handled by conversation-memory.js.
+
+const MAX_TITLE_LENGTH = 80;
+const MESSAGES_PAGE_LIMIT = 100; // turns returned by GET /conversations/:id/messages
+
+function conversationsRef(uid) {
+  return db.collection('users').doc(uid).collection('conversations');
+}
+
+function serialize(doc) {
+  const data = doc.data();
+  return {
+    id: doc.id,
+    title: data.title || null,
+    messageCount: data.messageCount || 0,
+    createdAt: data.createdAt?.toDate?.().toISOString() || null,
+    updatedAt: data.updatedAt?.toDate?.().toISOString() || null,
+  };
+}
+
+function cleanTitle(title) {
+  if (typeof title !== 'string') return null;
+  const trimmed = title.replace(/\s+/g, ' ').trim();
+  return trimmed ? trimmed.substring(0, MAX_TITLE_LENGTH) : null;
+}
+
+async function create(req, res) {
+  const uid = req.userId;
+  const { title } = req.body || {};
+  const isDemo = uid === 'demo' || req.query.demo === 'true';
+
+  // Demo mode - return mock response
+  if (isDemo) {
+    console.log('[Conversations] Demo mode - returning mock conversation');
+    return ok(res, { id: `demo_${Date.now()}`, title: cleanTitle(title), messageCount: 0, demo: true });
+  }
+
+  try {
+    const ref = await conversationsRef(uid).add({
+      title: cleanTitle(title),
+      messageCount: 0,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    return ok(res, { id: ref.id, title: cleanTitle(title), messageCount: 0 });
+  } catch (e) {
+    console.error('[Conversations] Firestore error:', e.message);
+    return res.status(500).json({ error: 'Failed to create conversation', detail: e.message });
+  }
+}
+
+async function list(req, res) {
+  const uid = req.userId;
+  const isDemo = uid === 'demo' || req.query.demo === 'true';
+
+  // Demo mode - return mock conversations
+  if (isDemo) {
+    console.log('[Conversations] Demo mode - returning mock conversation list');
+    return res.json({
+      conversations: [
+        { id: 'demo_1', title: 'Trip planning', messageCount: 6, createdAt: new Date().toISOString(), updatedAt: new Date().toISOString() },
+      ],
+    });
+  }
+
+  try {
+    const snap = await conversationsRef(uid).orderBy('updatedAt', 'desc').limit(50).get();
+    return res.json({ conversations: snap.docs.map(serialize) });
+  } catch (e) {
+    console.error('[Conversations] Firestore error:', e.message);
+    return res.status(500).json({ error: 'Failed to fetch conversations', detail: e.message });
+  }
+}
+
+async function rename(req, res) {
+  const uid = req.userId;
+  const { id } = req.params;
+  const title = cleanTitle((req.body || {}).title);
+  const isDemo = uid === 'demo' || req.query.demo === 'true';
+
+  if (!title) return res.status(400).json({ error: 'title required' });
+
+  if (isDemo) {
+    return ok(res, { id, title, demo: true });
+  }
+
+  try {
+    const ref = conversationsRef(uid).doc(id);
+    const doc = await ref.get();
+    if (!doc.exists) return res.status(404).json({ error: 'Conversation not found' });
+    await ref.update({ title, updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+    return ok(res, { id, title });
+  } catch (e) {
+    console.error('[Conversations] Firestore error:', e.message);
+    return res.status(500).json({ error: 'Failed to rename conversation', detail: e.message });
+  }
+}
+
+async function remove(req, res) {
+  const uid = req.userId;
+  const { id } = req.params;
+  const isDemo = uid === 'demo' || req.query.demo === 'true';
+
+  if (isDemo) {
+    return ok(res, { id, deleted: true, demo: true });
+  }
+
+  try {
+    const ref = conversationsRef(uid).doc(id);
+    const doc = await ref.get();
+    if (!doc.exists) return res.status(404).json({ error: 'Conversation not found' });
+
+    // Firestore doesn't cascade - delete messages in batches first
+    let snap = await ref.collection('messages').limit(400).get();
+    while (!snap.empty) {
+      const batch = db.batch();
+      snap.docs.forEach((d) => batch.delete(d.ref));
+      await batch.commit();
+      snap = await ref.collection('messages').limit(400).get();
+    }
+    await ref.delete();
+
+    // Assistant-mode conversations also have an OpenAI thread (background)
+    const { openaiThreadId } = doc.data();
+    if (openaiThreadId) {
+      deleteThread(openaiThreadId)
+        .catch(err => console.error('[Conversations] Thread delete error:', err.message));
+    }
+    return ok(res, { id, deleted: true });
+  } catch (e) {
+    console.error('[Conversations] Firestore error:', e.message);
+    return res.status(500).json({ error: 'Failed to delete conversation', detail: e.message });
+  }
+}
+
+async function messages(req, res) {
+  const uid = req.userId;
+  const { id } = req.params;
+  const isDemo = uid === 'demo' || req.query.demo === 'true';
+
+  if (isDemo) {
+    return res.json({ messages: [] });
+  }
+
+  try {
+    const ref = conversationsRef(uid).doc(id);
+    const doc = await ref.get();
+    if (!doc.exists) return res.status(404).json({ error: 'Conversation not found' });
+    const snap = await ref.collection('messages').orderBy('createdAt', 'desc').limit(MESSAGES_PAGE_LIMIT).get();
+    const out = snap.docs.reverse().map((d) => ({
+      id: d.id,
+      role: d.data().role,
+      content: d.data().content,
+      createdAt: d.data().createdAt?.toDate?.().toISOString() || null,
+    }));
+    return res.json({ conversation: serialize(doc), messages: out });
+  } catch (e) {
+    console.error('[Conversations] Firestore error:', e.message);
+    return res.status(500).json({ error: 'Failed to fetch messages', detail: e.message });
+  }
+}
+
+/**
+ * Append one user/assistant exchange and bump the conversation's counters.
+ * The first exchange also names an untitled conversation after the user's message.
+ */
+async function appendExchange(uid, conversationId, userText, assistantText) {
+  const ref = conversationsRef(uid).doc(conversationId);
+  const doc = await ref.get();
+  if (!doc.exists) return;
+
+  // Explicit timestamps keep the pair ordered (server timestamps would tie)
+  const now = Date.now();
+  const batch = db.batch();
+  batch.set(ref.collection('messages').doc(), {
+    role: 'user',
+    content: userText,
+    createdAt: admin.firestore.Timestamp.fromMillis(now),
+  });
+  batch.set(ref.collection('messages').doc(), {
+    role: 'assistant',
+    content: assistantText,
+    createdAt: admin.firestore.Timestamp.fromMillis(now + 1),
+  });
+  const update = {
+    messageCount: admin.firestore.FieldValue.increment(2),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  };
+  if (!doc.data().title) {
+    update.title = cleanTitle(userText.substring(0, 40));
+  }
+  batch.update(ref, update);
+  await batch.commit();
+}
+
+/**
+ * Swap the conversation's latest assistant message for a regenerated reply.
+ * Only replaces it when it is still `previousText` - resolves to false otherwise.
+ */
+async function replaceLastReply(uid, conversationId, previousText, newText) {
+  const snap = await conversationsRef(uid).doc(conversationId).collection('messages')
+    .orderBy('createdAt', 'desc')
+    .limit(1)
+    .get();
+  const last = snap.docs[0];
+  if (!last || last.data().role !== 'assistant' || last.data().content !== previousText) return false;
+  await last.ref.update({ content: newText, regeneratedAt: admin.firestore.FieldValue.serverTimestamp() });
+  return true;
+}
+
+module.exports = { create, list, rename, remove, messages, appendExchange, replaceLastReply };
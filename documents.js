@@ -0,0 +1,175 @@
+const { PDFParse } = require('pdf-parse');
+const mammoth = require('mammoth');
+const { runProviderChain } = require('./ai-providers');
+const { resolveRoute } = require('./ai-routing');
+const { keywordsOf } = require('./memories');
+
+// Document attachments (PDF, DOCX, TXT, CSV) for /ai/process.
+//
+// Documents (downloaded or loaded from uploads by attachments.js) are turned into text
+// before the provider chain runs, and the text goes into the user's turn - so Gemini,
+// OpenAI, Grok and Claude all get the same document context.
+//
+// Documents too big for the prompt are split into chunks: normally the chunks that
+// best match the question are kept; when the user asks for a summary every chunk is
+// summarized first (the `documents` route). A PDF without a text layer (a scan) is
+// passed on as a native file part, which Gemini and Claude can read.
+
+const MAX_PDF_PAGES = 50;
+const DOCUMENT_CONTEXT_CHARS = 12000;  // all documents together, ~3k tokens
+const CHUNK_CHARS = 3000;
+const CHUNK_OVERLAP_CHARS = 200;
+const MAX_SUMMARY_CHUNKS = 8;          // longer documents are sampled evenly
+const MIN_PDF_TEXT_CHARS = 20;         // less than this means a scanned PDF
+
+const DOCUMENT_TYPES = {
+  pdf: { label: 'PDF', mimeTypes: ['application/pdf'], extensions: ['pdf'] },
+  docx: { label: 'Word document', mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'], extensions: ['docx'] },
+  csv: { label: 'CSV', mimeTypes: ['text/csv', 'application/csv'], extensions: ['csv'] },
+  txt: { label: 'text file', mimeTypes: ['text/plain', 'text/markdown'], extensions: ['txt', 'md'] },
+};
+
+const SUMMARY_REQUEST = /\b(summar\w*|tl;?dr|overview|gist|key points|saar|saransh)\b/i;
+
+/// Document type from the sniffed mimeType; plain text named *.csv counts as CSV
+function documentTypeOf({ fileName, mimeType }) {
+  const extension = String(fileName || '').toLowerCase().split('.').pop();
+  if (mimeType === 'text/plain' && DOCUMENT_TYPES.csv.extensions.includes(extension)) return 'csv';
+  return Object.keys(DOCUMENT_TYPES).find((type) => DOCUMENT_TYPES[type].mimeTypes.includes(mimeType)) || null;
+}
+
+async function extractText(buffer, type) {
+  if (type === 'pdf') {
+    const parser = new PDFParse({ data: new Uint8Array(buffer) });
+    try {
+      const result = await parser.getText({ first: MAX_PDF_PAGES, pageJoiner: '' });  // no "-- 1 of 3 --" markers
+      return result.text || '';
+    } finally {
+      await parser.destroy();
+    }
+  }
+  if (type === 'docx') {
+    const result = await mammoth.extractRawText({ buffer });
+    return result.value || '';
+  }
+  return buffer.toString('utf8').replace(/^\uFEFF/, '');
+}
+
+function cleanText(text) {
+  return text.replace(/\r\n?/g, '\n').replace(/[ \t]+\n/g, '\n').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+/// Chunks of about CHUNK_CHARS, cut at paragraph or line breaks where possible
+function chunkText(text) {
+  const chunks = [];
+  let start = 0;
+  while (start < text.length) {
+    let end = Math.min(start + CHUNK_CHARS, text.length);
+    if (end < text.length) {
+      const breakAt = Math.max(text.lastIndexOf('\n\n', end), text.lastIndexOf('\n', end));
+      if (breakAt > start + CHUNK_CHARS / 2) end = breakAt;
+    }
+    chunks.push(text.substring(start, end).trim());
+    if (end >= text.length) break;
+    start = Math.max(end - CHUNK_OVERLAP_CHARS, start + 1);
+  }
+  return chunks.filter(Boolean);
+}
+
+/// Chunks sharing the most keywords with the question, in document order, within the budget
+function relevantExcerpts(chunks, question, budget) {
+  const queryWords = new Set(keywordsOf(question));
+  const ranked = chunks
+    .map((chunk, index) => ({ chunk, index, score: keywordsOf(chunk).filter((w) => queryWords.has(w)).length }))
+    .sort((a, b) => b.score - a.score || a.index - b.index);
+  const picked = [];
+  let used = 0;
+  for (const candidate of ranked) {
+    if (used + candidate.chunk.length > budget && picked.length > 0) break;
+    picked.push(candidate);
+    used += candidate.chunk.length;
+  }
+  return picked
+    .sort((a, b) => a.index - b.index)
+    .map(({ chunk, index }) => `[Part ${index + 1} of ${chunks.length}]\n${chunk}`)
+    .join('\n\n');
+}
+
+async function summarizeChunks(chunks, fileName, { tier, onUsage }) {
+  const step = Math.max(1, chunks.length / MAX_SUMMARY_CHUNKS);
+  const sampled = [];
+  for (let i = 0; i < chunks.length && sampled.length < MAX_SUMMARY_CHUNKS; i += step) sampled.push(Math.floor(i));
+
+  const { steps } = resolveRoute('documents', tier);
+  const summaries = await Promise.all(sampled.map(async (index) => {
+    const { text } = await runProviderChain(steps, {
+      message: `Summarize part ${index + 1} of ${chunks.length} of the document "${fileName}" in a few sentences. Keep names, numbers and dates.\n\n${chunks[index]}`,
+      systemPrompt: 'You summarize documents accurately and concisely. Do not add anything that is not in the text.',
+      history: [],
+    }, 'Documents', { onUsage });
+    return text ? `[Part ${index + 1} of ${chunks.length}] ${text.trim()}` : null;
+  }));
+  return summaries.filter(Boolean).join('\n');
+}
+
+/**
+ * Read one loaded document ({ fileName, mimeType, buffer }).
+ * Resolves to { fileName, label, text, mode, nativePart?, error? }
+ *   mode: 'full' | 'excerpts' | 'summary' | 'native' (scanned PDF, see nativePart)
+ */
+async function readDocument(document, question, budget, options) {
+  const { fileName, buffer } = document;
+  try {
+    const type = documentTypeOf(document);
+    const label = DOCUMENT_TYPES[type].label;
+
+    const text = cleanText(await extractText(buffer, type));
+    if (type === 'pdf' && text.length < MIN_PDF_TEXT_CHARS) {
+      const nativePart = { fileType: 'document', fileName, mimeType: 'application/pdf', data: buffer.toString('base64') };
+      return { fileName, label, text: '', mode: 'native', nativePart };
+    }
+    if (!text) throw new Error('no readable text');
+    if (text.length <= budget) return { fileName, label, text, mode: 'full' };
+
+    const chunks = chunkText(text);
+    if (SUMMARY_REQUEST.test(question || '') || !(question || '').trim()) {
+      const summary = await summarizeChunks(chunks, fileName, options);
+      if (summary) return { fileName, label, text: summary.substring(0, budget), mode: 'summary' };
+    }
+    return { fileName, label, text: relevantExcerpts(chunks, question, budget), mode: 'excerpts' };
+  } catch (e) {
+    console.error(`[Documents] ❌ ${fileName}:`, e.message);
+    return { fileName, label: 'document', text: '', mode: 'error', error: e.message };
+  }
+}
+
+function documentBlock(doc) {
+  if (doc.error) return `[Document "${doc.fileName}" could not be read: ${doc.error}. Tell the user.]`;
+  if (doc.mode === 'native') {
+    return `[Document "${doc.fileName}" is a scanned PDF with no text layer. It is attached as a file; if you cannot see it, tell the user to upload a text PDF or images of the pages.]`;
+  }
+  const how = { full: 'full text', excerpts: 'the parts most relevant to the question', summary: 'summaries of its parts' }[doc.mode];
+  return `[Document "${doc.fileName}" (${doc.label}) - ${how}]\n${doc.text}\n[End of "${doc.fileName}"]`;
+}
+
+/**
+ * Turn loaded documents ([{ fileName, mimeType, buffer }]) into text for the provider chain.
+ * Resolves to { message, nativeParts, documents }: the message with the document context
+ * appended, scanned PDFs as native file parts for the providers, and the per-document results.
+ *   options: { tier, onUsage } - for summarizing large documents
+ */
+async function prepareDocuments(message, loaded, options = {}) {
+  if (loaded.length === 0) return { message, nativeParts: [], documents: [] };
+
+  const budget = Math.floor(DOCUMENT_CONTEXT_CHARS / loaded.length);
+  const documents = await Promise.all(loaded.map((d) => readDocument(d, message, budget, options)));
+  console.log(`[Documents] 📄 ${documents.map((d) => `${d.fileName}: ${d.mode}${d.text ? ` (${d.text.length} chars)` : ''}`).join(', ')}`);
+
+  return {
+    message: `${message}\n\nAttached documents:\n\n${documents.map(documentBlock).join('\n\n')}`,
+    nativeParts: documents.filter((d) => d.nativePart).map((d) => d.nativePart),
+    documents,
+  };
+}
+
+module.exports = { prepareDocuments };
@@ -1,5 +1,6 @@
 const admin = require('firebase-admin');
 const { ok } = require('./utils');
+const { isUploadId, loadUpload, markReferenced } = require('./attachments');
 const db = admin.firestore();
 
 async function add(req, res) {
@@ -22,13 +23,24 @@ async function add(req, res) {
   }
   
   try {
+    // imageUrl may be an upload id from POST /attachments
+    let image = { imageUrl: imageUrl || null };
+    if (isUploadId(imageUrl)) {
+      const upload = await loadUpload(uid, imageUrl);
+      if (!upload || upload.fileType !== 'image') {
+        return res.status(400).json({ error: 'imageUrl must be an image URL or the id of an uploaded image' });
+      }
+      image = { imageUrl: upload.url, attachmentId: upload.id };
+    }
+
     const doc = await db.collection('users').doc(uid).collection('expenses').add({
       amount: Number(amount),
       category,
       note: note || null,
-      imageUrl: imageUrl || null,
+      ...image,
       createdAt: admin.firestore.FieldValue.serverTimestamp ? admin.firestore.FieldValue.serverTimestamp() : new Date(),
     });
+    if (image.attachmentId) markReferenced(uid, [image.attachmentId]);
     return ok(res, { id: doc.id });
   } catch (e) {
     console.error('[Expense] Firestore error:', e.message);
@@ -36,7 +48,11 @@ async function add(req, res) {
   }
 }
 
-async function computeMonthly(uid, year, month) {
+/**
+ * Totals for one month: { personal, company, total, byCategory }.
+ * withItems adds the month's expenses, newest first ({ amount, category, note, date }).
+ */
+async function computeMonthly(uid, year, month, { withItems = false } = {}) {
   const start = new Date(year, month - 1, 1);
   const end = new Date(year, month, 1);
   const snap = await db
@@ -48,12 +64,26 @@ async function computeMonthly(uid, year, month) {
     .get();
   let personal = 0,
     company = 0;
+  const byCategory = {};
   for (const d of snap.docs) {
     const e = d.data();
     if (e.category === 'company') company += Number(e.amount || 0);
     else personal += Number(e.amount || 0);
+    const category = e.category || 'personal';
+    byCategory[category] = (byCategory[category] || 0) + Number(e.amount || 0);
+  }
+  const totals = { personal, company, total: personal + company, byCategory };
+  if (withItems) {
+    totals.items = snap.docs
+      .map((d) => ({
+        amount: Number(d.data().amount || 0),
+        category: d.data().category || 'personal',
+        note: d.data().note || null,
+        date: d.data().createdAt?.toDate?.() || null,
+      }))
+      .sort((a, b) => (b.date || 0) - (a.date || 0));
   }
-  return { personal, company, total: personal + company };
+  return totals;
 }
 
 async function monthly(req, res) {
@@ -71,6 +101,7 @@ async function monthly(req, res) {
       personal: 15000,
       company: 25000,
       total: 40000,
+      byCategory: { personal: 15000, company: 25000 },
       demo: true
     });
   }
@@ -0,0 +1,156 @@
+const crypto = require('crypto');
+const admin = require('firebase-admin');
+const { resolveStep } = require('./ai-routing');
+const db = admin.firestore();
+
+// A/B experiments on /ai/process replies: provider, model, prompt version and token budget.
+//
+// Configured with AI_EXPERIMENTS (JSON array), e.g.
+//   AI_EXPERIMENTS='[{"id":"mini-first","modes":["general","finance"],"tiers":["free"],"traffic":0.5,
+//     "variants":[{"id":"control"},{"id":"mini","provider":"openai","model":"gpt-4o-mini","maxTokens":800}]}]'
+// A variant may set provider (moved to the front of the chain), model (first step),
+// promptVersion (the mode's template in prompts.js) and maxTokens (every step);
+// anything it leaves out stays as routed. `weight` splits traffic between variants (default 1).
+//
+// Users are bucketed by a hash of experiment id + uid, so a user keeps their variant
+// across requests and server instances. The first matching experiment applies.
+// ai_logs entries of enrolled requests carry { experimentId, variantId, latencyMs };
+// requests where no provider answered are logged with empty: true.
+
+const REPORT_MAX_ENTRIES = 10000;
+
+let cachedExperiments = null;
+
+function getExperiments() {
+  if (cachedExperiments) return cachedExperiments;
+  let experiments = [];
+  if (process.env.AI_EXPERIMENTS) {
+    try {
+      experiments = JSON.parse(process.env.AI_EXPERIMENTS);
+    } catch (e) {
+      console.error('[Experiments] Invalid AI_EXPERIMENTS, no experiments running:', e.message);
+    }
+  }
+  cachedExperiments = (Array.isArray(experiments) ? experiments : []).filter((exp) => {
+    const valid = exp && exp.id && Array.isArray(exp.variants) && exp.variants.length > 0 && exp.variants.every((v) => v && v.id);
+    if (!valid) console.error('[Experiments] Skipping invalid experiment:', JSON.stringify(exp));
+    return valid;
+  });
+  return cachedExperiments;
+}
+
+/// Stable position of a user in [0, 1) for one experiment
+function bucketOf(experimentId, uid) {
+  const hash = crypto.createHash('sha256').update(`${experimentId}:${uid}`).digest('hex');
+  return parseInt(hash.substring(0, 8), 16) / 0x100000000;
+}
+
+/**
+ * Variant for this user and request, or null when no experiment applies.
+ * Resolves to { experimentId, variantId, provider, model, promptVersion, maxTokens }.
+ */
+function assignVariant(uid, { mode, tier }) {
+  if (!uid || uid === 'demo') return null;
+  const modeName = mode || 'general';
+  for (const exp of getExperiments()) {
+    if (Array.isArray(exp.modes) && !exp.modes.includes(modeName)) continue;
+    if (Array.isArray(exp.tiers) && !exp.tiers.includes(tier)) continue;
+
+    const traffic = typeof exp.traffic === 'number' ? exp.traffic : 1;
+    const bucket = bucketOf(exp.id, uid);
+    if (bucket >= traffic) continue;
+
+    // Spread the enrolled share over the variants by weight
+    const totalWeight = exp.variants.reduce((sum, v) => sum + (v.weight ?? 1), 0);
+    let point = (bucket / traffic) * totalWeight;
+    const variant = exp.variants.find((v) => (point -= v.weight ?? 1) < 0) || exp.variants[exp.variants.length - 1];
+    return {
+      experimentId: exp.id,
+      variantId: variant.id,
+      provider: variant.provider || null,
+      model: variant.model || null,
+      promptVersion: variant.promptVersion || null,
+      maxTokens: variant.maxTokens || null,
+    };
+  }
+  return null;
+}
+
+/**
+ * Routing steps with a variant's provider / model / token budget applied
+ */
+function applyVariant(steps, variant) {
+  if (!variant) return steps;
+  let result = steps.map((step) => (variant.maxTokens ? { ...step, maxTokens: variant.maxTokens } : step));
+  if (variant.provider) {
+    const index = result.findIndex((step) => step.provider === variant.provider);
+    const first = index === -1 ? resolveStep({ provider: variant.provider, maxTokens: variant.maxTokens || undefined }) : result[index];
+    result = [first, ...result.filter((_, i) => i !== index)];
+  }
+  if (variant.model && result.length > 0) {
+    result[0] = { ...result[0], model: variant.model, fallbackModels: [] };
+  }
+  return result;
+}
+
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))];
+}
+
+// ===== ENDPOINTS =====
+
+/**
+ * Per-variant latency, empty-response rate and rating for one experiment (admin only).
+ * Query: experimentId (required)
+ */
+async function report(req, res) {
+  const { experimentId } = req.query;
+  if (!experimentId) return res.status(400).json({ error: 'experimentId required' });
+
+  try {
+    const snap = await db.collectionGroup('ai_logs')
+      .where('experimentId', '==', String(experimentId))
+      .limit(REPORT_MAX_ENTRIES)
+      .get();
+
+    const byVariant = {};
+    for (const doc of snap.docs) {
+      const entry = doc.data();
+      const v = byVariant[entry.variantId] = byVariant[entry.variantId] || {
+        requests: 0, empty: 0, latencies: [], providers: {}, ratings: { up: 0, down: 0 },
+      };
+      v.requests += 1;
+      if (entry.empty) v.empty += 1;
+      if (typeof entry.latencyMs === 'number') v.latencies.push(entry.latencyMs);
+      if (entry.provider) v.providers[entry.provider] = (v.providers[entry.provider] || 0) + 1;
+      const rating = entry.feedback?.rating;
+      if (rating === 'up' || rating === 'down') v.ratings[rating] += 1;
+    }
+
+    const variants = {};
+    for (const [variantId, v] of Object.entries(byVariant)) {
+      const sorted = v.latencies.sort((a, b) => a - b);
+      const rated = v.ratings.up + v.ratings.down;
+      variants[variantId] = {
+        requests: v.requests,
+        emptyRate: Number((v.empty / v.requests).toFixed(3)),
+        latencyMs: {
+          avg: sorted.length ? Math.round(sorted.reduce((sum, ms) => sum + ms, 0) / sorted.length) : null,
+          p50: percentile(sorted, 0.5),
+          p95: percentile(sorted, 0.95),
+        },
+        providers: v.providers,
+        ratings: { ...v.ratings, positiveRate: rated ? Number((v.ratings.up / rated).toFixed(3)) : null },
+      };
+    }
+
+    const config = getExperiments().find((exp) => exp.id === experimentId) || null;
+    return res.json({ experimentId, running: !!config, config, variants, truncated: snap.size >= REPORT_MAX_ENTRIES });
+  } catch (e) {
+    console.error('[Experiments] Firestore error:', e.message);
+    return res.status(500).json({ error: 'Failed to build experiment report', detail: e.message });
+  }
+}
+
+module.exports = { assignVariant, applyVariant, report };
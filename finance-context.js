@@ -0,0 +1,138 @@
+const admin = require('firebase-admin');
+const { computeMonthly } = require('./expense');
+const { formatDateTime } = require('./pending-actions');
+const { isPersonalMessage } = require('./memories');
+const db = admin.firestore();
+
+// Grounds answers about the user's own money and plans in their data.
+//
+// For finance mode (whenever the user talks about themselves) and for questions
+// like "how much did I spend on food last month?" / "kal mera kya plan hai?" in any
+// mode, a compact summary of users/{uid}/expenses (via computeMonthly) and the
+// upcoming users/{uid}/schedule items is added to the system prompt, so the model
+// answers from real numbers instead of generic advice.
+
+const EXPENSE_TOPIC = /\b(spen[dt]|spending|expenses?|kharch\w*|budget|paid|paisa|paise|rupees?|rs|money|bills?|saved|savings?)\b/i;
+const SCHEDULE_TOPIC = /\b(schedule|meetings?|appointments?|events?|calendar|plans?|reminders?|busy|free)\b/i;
+const QUESTION = /\?\s*$|^(what|how|when|where|which|who|did|do|does|am|is|are|have|has|can|kitna|kitne|kitni|kya|kab|kaun|kaunsa)\b/i;
+
+const MONTH_NAMES = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+const MONTH_PATTERN = new RegExp(`\\b(${MONTH_NAMES.join('|')}|${MONTH_NAMES.map((m) => m.substring(0, 3)).join('|')})\\b(?:\\s+(\\d{4}))?`);
+const AMBIGUOUS_MONTHS = ['may', 'mar'];
+const MAX_EXPENSE_ITEMS = 15;   // per month, newest first
+const MAX_SCHEDULE_ITEMS = 8;
+const MAX_NOTE_LENGTH = 60;
+
+/**
+ * Whether the message asks about the user's own spending or plans
+ * ("how much did I spend last month?", "what meetings do I have tomorrow?")
+ */
+function isUserDataQuestion(message) {
+  const text = (message || '').trim();
+  return QUESTION.test(text) && isPersonalMessage(text) && (EXPENSE_TOPIC.test(text) || SCHEDULE_TOPIC.test(text));
+}
+
+/**
+ * Which of the user's data to look up for this message: { expenses, schedule }, or null
+ */
+function financeContextNeeds(mode, message) {
+  if (mode === 'finance' && isPersonalMessage(message)) {
+    return { expenses: true, schedule: SCHEDULE_TOPIC.test(message) };
+  }
+  if (isUserDataQuestion(message)) {
+    return { expenses: EXPENSE_TOPIC.test(message), schedule: SCHEDULE_TOPIC.test(message) };
+  }
+  return null;
+}
+
+/// Months the question is about: "last month", "this month", a month name, or the current and previous month
+function monthsFor(message, now = new Date()) {
+  const lower = (message || '').toLowerCase();
+  const current = { year: now.getFullYear(), month: now.getMonth() + 1 };
+  const previous = current.month === 1 ? { year: current.year - 1, month: 12 } : { year: current.year, month: current.month - 1 };
+
+  if (/\b(last|previous|pichh?l[aei])\s+(month|mahin[ae])\b/.test(lower)) return [previous];
+  if (/\b(this|current|is)\s+(month|mahin[ae])\b/.test(lower)) return [current];
+
+  const named = lower.match(MONTH_PATTERN);
+  // "may" / "mar" are ordinary words too - only months after "in", "for", ...
+  if (named && !(AMBIGUOUS_MONTHS.includes(named[1]) && !/\b(in|for|of|during|since)\s+$/.test(lower.substring(0, named.index)))) {
+    const month = MONTH_NAMES.findIndex((m) => m.startsWith(named[1])) + 1;
+    // Without a year, the most recent such month
+    const year = named[2] ? Number(named[2]) : (month > current.month ? current.year - 1 : current.year);
+    return [{ year, month }];
+  }
+  return [previous, current];
+}
+
+function rupees(amount) {
+  return `Rs ${Math.round(amount).toLocaleString('en-IN')}`;
+}
+
+function monthLabel({ year, month }) {
+  return `${MONTH_NAMES[month - 1].replace(/^\w/, (c) => c.toUpperCase())} ${year}`;
+}
+
+async function expenseLines(uid, message) {
+  const now = new Date();
+  const lines = [];
+  for (const period of monthsFor(message, now)) {
+    const totals = await computeMonthly(uid, period.year, period.month, { withItems: true });
+    const soFar = period.year === now.getFullYear() && period.month === now.getMonth() + 1 ? ' (so far)' : '';
+    if (totals.items.length === 0) {
+      lines.push(`Expenses ${monthLabel(period)}${soFar}: none recorded.`);
+      continue;
+    }
+    const categories = Object.entries(totals.byCategory)
+      .sort((a, b) => b[1] - a[1])
+      .map(([category, amount]) => `${category} ${rupees(amount)}`)
+      .join(', ');
+    lines.push(`Expenses ${monthLabel(period)}${soFar}: total ${rupees(totals.total)} in ${totals.items.length} ${totals.items.length === 1 ? 'entry' : 'entries'}. By category: ${categories}.`);
+    for (const item of totals.items.slice(0, MAX_EXPENSE_ITEMS)) {
+      const date = item.date ? item.date.toLocaleDateString('en-IN', { day: 'numeric', month: 'short' }) : 'undated';
+      const note = item.note ? ` "${item.note.replace(/\s+/g, ' ').substring(0, MAX_NOTE_LENGTH)}"` : '';
+      lines.push(`- ${date}: ${rupees(item.amount)} ${item.category}${note}`);
+    }
+    if (totals.items.length > MAX_EXPENSE_ITEMS) lines.push(`- ...and ${totals.items.length - MAX_EXPENSE_ITEMS} older entries`);
+  }
+  return lines;
+}
+
+async function scheduleLines(uid) {
+  const snap = await db.collection('users').doc(uid).collection('schedule')
+    .where('datetime', '>=', new Date().toISOString())
+    .orderBy('datetime')
+    .limit(MAX_SCHEDULE_ITEMS)
+    .get();
+  if (snap.empty) return ['Upcoming schedule: nothing scheduled.'];
+  return ['Upcoming schedule:', ...snap.docs.map((d) => {
+    const { title, datetime, note } = d.data();
+    const { dateStr, timeStr } = formatDateTime(datetime);
+    return `- ${dateStr}, ${timeStr}: ${title}${note ? ` (${String(note).substring(0, MAX_NOTE_LENGTH)})` : ''}`;
+  })];
+}
+
+/**
+ * Compact summary of the user's expenses / schedule relevant to this message, or null
+ * when the message isn't about their own data.
+ */
+async function loadFinanceContext(uid, mode, message) {
+  const needs = financeContextNeeds(mode, message);
+  if (!needs || uid === 'demo') return null;
+  const [expenses, schedule] = await Promise.all([
+    needs.expenses ? expenseLines(uid, message) : [],
+    needs.schedule ? scheduleLines(uid) : [],
+  ]);
+  const lines = [...expenses, ...schedule];
+  return lines.length ? lines.join('\n') : null;
+}
+
+/**
+ * Add the user's data summary to a system prompt
+ */
+function withFinanceContext(systemPrompt, summary) {
+  if (!summary) return systemPrompt;
+  return `${systemPrompt}\n\nThe user's own records from this app (amounts in rupees). Answer questions about their spending, budget and plans from these figures; if something isn't recorded here, say so instead of guessing:\n${summary}`;
+}
+
+module.exports = { isUserDataQuestion, loadFinanceContext, withFinanceContext };
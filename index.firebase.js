@@ -92,6 +92,15 @@ exports.cleanupAdultLogs = functions
     return null;
   });
 
+// Scheduled: delete uploads nothing referenced within a day
+exports.cleanupExpiredAttachments = functions
+  .runWith({ memory: '256MB', timeoutSeconds: 120 })
+  .pubsub.schedule('every 1 hours')
+  .onRun(async () => {
+    await require('./attachments').cleanupExpired();
+    return null;
+  });
+
 // Daily report summary push (00:00)
 exports.dailyExpenseReport = functions
   .runWith({ memory: '256MB', timeoutSeconds: 120 })
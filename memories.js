@@ -0,0 +1,349 @@
+const admin = require('firebase-admin');
+const { ok } = require('./utils');
+const { runProviderChain } = require('./ai-providers');
+const { resolveRoute } = require('./ai-routing');
+const db = admin.firestore();
+
+// Long-term personal facts ("my daughter's name is Riya", "I'm allergic to peanuts").
+// Stored under users/{uid}/memories/{id} as { text, category, source, keywords }.
+//   source: 'explicit'  - user said "remember that ..." or added it in the app
+//           'extracted' - proposed by the model after a normal exchange
+// Relevant facts are added to the system prompt of every /ai/process call.
+
+const MAX_MEMORIES = 200;       // per user; oldest extracted facts make room first
+const MAX_MEMORY_LENGTH = 300;
+const PROMPT_MEMORY_LIMIT = 8;  // facts injected per request
+const FORGET_CANDIDATE_LIMIT = 3; // facts offered when a "forget that ..." isn't a clear match
+const CATEGORIES = ['family', 'health', 'preference', 'work', 'date', 'contact', 'other'];
+
+// Words that don't help match a fact to a question
+const STOPWORDS = new Set([
+  'the', 'a', 'an', 'is', 'are', 'was', 'were', 'my', 'me', 'i', 'to', 'of', 'and', 'or', 'in', 'on',
+  'at', 'for', 'with', 'that', 'this', 'it', 'be', 'what', 'who', 'when', 'how', 'do', 'does', 'you',
+  'your', 'mera', 'meri', 'mere', 'hai', 'ka', 'ki', 'ke', 'ko', 'se', 'aur', 'kya', 'remember', 'user',
+]);
+
+function memoriesRef(uid) {
+  return db.collection('users').doc(uid).collection('memories');
+}
+
+function keywordsOf(text) {
+  return [...new Set(
+    (text || '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter((w) => w.length > 2 && !STOPWORDS.has(w))
+  )].slice(0, 20);
+}
+
+/// "my mother is ..." -> "User's mother is ..." so stored facts read the same in any prompt
+function toThirdPerson(fact) {
+  return fact
+    .replace(/\b(i am|i'm)\b/gi, 'User is')
+    .replace(/\bi\b/gi, 'User')
+    .replace(/\bmy\b/gi, "User's")
+    .replace(/\bme\b/gi, 'User')
+    .replace(/^\w/, (c) => c.toUpperCase());
+}
+
+function normalize(text) {
+  return (text || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+}
+
+function serialize(doc) {
+  const data = doc.data();
+  return {
+    id: doc.id,
+    text: data.text,
+    category: data.category || 'other',
+    source: data.source || 'explicit',
+    createdAt: data.createdAt?.toDate?.().toISOString() || null,
+    updatedAt: data.updatedAt?.toDate?.().toISOString() || null,
+  };
+}
+
+async function loadMemories(uid) {
+  const snap = await memoriesRef(uid).orderBy('createdAt', 'desc').limit(MAX_MEMORIES).get();
+  return snap.docs;
+}
+
+/**
+ * Save a fact unless an identical one exists. Resolves to the memory id.
+ */
+async function saveMemory(uid, text, { category = 'other', source = 'explicit' } = {}) {
+  const clean = String(text).replace(/\s+/g, ' ').trim().substring(0, MAX_MEMORY_LENGTH);
+  const existing = await loadMemories(uid);
+  const duplicate = existing.find((d) => normalize(d.data().text) === normalize(clean));
+  if (duplicate) return duplicate.id;
+
+  // Make room by dropping the oldest extracted fact (explicit ones are never evicted)
+  if (existing.length >= MAX_MEMORIES) {
+    const oldestExtracted = [...existing].reverse().find((d) => d.data().source === 'extracted');
+    if (oldestExtracted) await oldestExtracted.ref.delete();
+  }
+
+  const ref = await memoriesRef(uid).add({
+    text: clean,
+    category: CATEGORIES.includes(category) ? category : 'other',
+    source,
+    keywords: keywordsOf(clean),
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+  return ref.id;
+}
+
+// ===== ENDPOINTS =====
+
+async function list(req, res) {
+  const uid = req.userId;
+  const isDemo = uid === 'demo' || req.query.demo === 'true';
+
+  // Demo mode - return mock memories
+  if (isDemo) {
+    console.log('[Memories] Demo mode - returning mock memories');
+    return res.json({
+      memories: [
+        { id: 'demo_1', text: "User's daughter is named Riya", category: 'family', source: 'explicit' },
+        { id: 'demo_2', text: 'User prefers replies in Hinglish', category: 'preference', source: 'extracted' },
+      ],
+    });
+  }
+
+  try {
+    const docs = await loadMemories(uid);
+    return res.json({ memories: docs.map(serialize) });
+  } catch (e) {
+    console.error('[Memories] Firestore error:', e.message);
+    return res.status(500).json({ error: 'Failed to fetch memories', detail: e.message });
+  }
+}
+
+async function add(req, res) {
+  const uid = req.userId;
+  const { text, category } = req.body || {};
+  const isDemo = uid === 'demo' || req.query.demo === 'true';
+
+  if (!text || !String(text).trim()) return res.status(400).json({ error: 'text required' });
+
+  if (isDemo) {
+    return ok(res, { id: `demo_${Date.now()}`, text, category: category || 'other', demo: true });
+  }
+
+  try {
+    const id = await saveMemory(uid, text, { category, source: 'explicit' });
+    return ok(res, { id, text, category: category || 'other' });
+  } catch (e) {
+    console.error('[Memories] Firestore error:', e.message);
+    return res.status(500).json({ error: 'Failed to save memory', detail: e.message });
+  }
+}
+
+async function update(req, res) {
+  const uid = req.userId;
+  const { id } = req.params;
+  const { text, category } = req.body || {};
+  const isDemo = uid === 'demo' || req.query.demo === 'true';
+
+  if (!text && !category) return res.status(400).json({ error: 'text or category required' });
+
+  if (isDemo) {
+    return ok(res, { id, text, category, demo: true });
+  }
+
+  try {
+    const ref = memoriesRef(uid).doc(id);
+    const doc = await ref.get();
+    if (!doc.exists) return res.status(404).json({ error: 'Memory not found' });
+
+    const changes = { updatedAt: admin.firestore.FieldValue.serverTimestamp() };
+    if (text) {
+      changes.text = String(text).replace(/\s+/g, ' ').trim().substring(0, MAX_MEMORY_LENGTH);
+      changes.keywords = keywordsOf(changes.text);
+      // An edited fact is the user's own statement now
+      changes.source = 'explicit';
+    }
+    if (category) changes.category = CATEGORIES.includes(category) ? category : 'other';
+    await ref.update(changes);
+    return ok(res, serialize(await ref.get()));
+  } catch (e) {
+    console.error('[Memories] Firestore error:', e.message);
+    return res.status(500).json({ error: 'Failed to update memory', detail: e.message });
+  }
+}
+
+async function remove(req, res) {
+  const uid = req.userId;
+  const { id } = req.params;
+  const isDemo = uid === 'demo' || req.query.demo === 'true';
+
+  if (isDemo) {
+    return ok(res, { id, deleted: true, demo: true });
+  }
+
+  try {
+    const ref = memoriesRef(uid).doc(id);
+    const doc = await ref.get();
+    if (!doc.exists) return res.status(404).json({ error: 'Memory not found' });
+    await ref.delete();
+    return ok(res, { id, deleted: true });
+  } catch (e) {
+    console.error('[Memories] Firestore error:', e.message);
+    return res.status(500).json({ error: 'Failed to delete memory', detail: e.message });
+  }
+}
+
+// ===== CHAT INTEGRATION =====
+
+// Only explicit phrasings - "remember when we ..." or "forget it" are normal chat
+const REMEMBER_PATTERN = /^(?:please\s+)?(?:remember\s+(?:that\b|:)|yaad\s+rakh(?:na|o)?(?:\s+ki\b|:)?)\s*(.+)$/i;
+const FORGET_PATTERN = /^(?:please\s+)?(?:forget|bhool\s+ja(?:o)?)\s+(?:that|about|ki)\b\s*(.*)$/i;
+// "forget about it", "forget that, what's the weather?" - no fact named, or a new request follows
+const VAGUE_FORGET_TARGET = /^(?:(?:it|that|this|these|those|them|everything|ye|yeh|wo|woh|vo|use|usse|isse|sab)\b\s*(?:[,;:-]|\band\b|$)|[,;:-])/i;
+
+/**
+ * Handle explicit "remember that ..." / "forget that ..." commands.
+ * Resolves to an intent result ({ response, action, memoryId }) or null.
+ */
+async function handleMemoryCommand(uid, message) {
+  const text = message.trim().replace(/[.!]+$/, '');
+
+  const remember = text.match(REMEMBER_PATTERN);
+  if (remember && remember[1].trim().length > 2 && !text.endsWith('?')) {
+    const fact = remember[1].trim();
+    const memoryId = await saveMemory(uid, toThirdPerson(fact), { source: 'explicit' });
+    console.log(`[Memories] Saved explicit memory ${memoryId}`);
+    return { response: `Got it, I'll remember: "${fact}".`, action: 'memory.save', memoryId };
+  }
+
+  // Deleting needs the fact named ("forget that my sister lives in Pune"); anything vaguer is chat
+  const forget = text.match(FORGET_PATTERN);
+  const target = forget ? forget[1].trim() : '';
+  if (target && !VAGUE_FORGET_TARGET.test(target) && !target.includes('?')) {
+    const docs = await loadMemories(uid);
+    if (docs.length === 0) {
+      return { response: "I don't have anything saved about you yet.", action: 'memory.delete' };
+    }
+    const scored = scoreMemories(docs, target);
+    if (scored.length === 0) {
+      return { response: "I couldn't find anything like that in what I remember about you.", action: 'memory.delete' };
+    }
+
+    // Only delete outright when one fact shares most of the named words; otherwise ask,
+    // and the client deletes the one the user picks through DELETE /memories/:id
+    const targetWords = keywordsOf(target).length;
+    const strong = scored.filter((m) => m.score * 2 > targetWords);
+    if (strong.length === 1) {
+      const match = strong[0].doc;
+      await match.ref.delete();
+      console.log(`[Memories] Deleted memory ${match.id} on request`);
+      return { response: `Okay, I've forgotten: "${match.data().text}".`, action: 'memory.delete', memoryId: match.id };
+    }
+
+    const candidates = (strong.length ? strong : scored).slice(0, FORGET_CANDIDATE_LIMIT)
+      .map((m) => ({ id: m.doc.id, text: m.doc.data().text }));
+    return {
+      response: `Which of these should I forget?\n${candidates.map((c, i) => `${i + 1}. ${c.text}`).join('\n')}`,
+      action: 'memory.confirm_delete',
+      candidates,
+    };
+  }
+
+  return null;
+}
+
+/// { doc, score } for memories sharing at least one keyword with the query, best match first
+function scoreMemories(docs, query) {
+  const queryWords = new Set(keywordsOf(query));
+  return docs
+    .map((d) => ({ doc: d, score: (d.data().keywords || []).filter((k) => queryWords.has(k)).length }))
+    .filter((m) => m.score > 0)
+    .sort((a, b) => b.score - a.score);
+}
+
+/// Memories sharing at least one keyword with the query, best match first
+function rankMemories(docs, query) {
+  return scoreMemories(docs, query).map((m) => m.doc);
+}
+
+/**
+ * Facts worth showing the model for this message: keyword matches first,
+ * then the most recent explicit facts to fill the remaining slots.
+ */
+async function getRelevantMemories(uid, message, limit = PROMPT_MEMORY_LIMIT) {
+  const docs = await loadMemories(uid);
+  if (docs.length === 0) return [];
+  const picked = rankMemories(docs, message).slice(0, limit);
+  for (const d of docs) {
+    if (picked.length >= limit) break;
+    if (d.data().source === 'explicit' && !picked.includes(d)) picked.push(d);
+  }
+  return picked.map((d) => d.data().text);
+}
+
+/**
+ * Add known facts about the user to a system prompt
+ */
+function withUserMemories(systemPrompt, memories) {
+  if (!memories || memories.length === 0) return systemPrompt;
+  return `${systemPrompt}\n\nThings you know about the user (use naturally when relevant, never list them):\n${memories.map((m) => `- ${m}`).join('\n')}`;
+}
+
+// Cheap pre-filter so we only pay for extraction when the user talks about themselves
+const PERSONAL_HINT = /\b(i|i'm|im|my|me|mine|main|mera|meri|mere|mujhe|hamara|hamari)\b/i;
+
+/// Whether the user is talking about themselves (first person, English or Hindi)
+function isPersonalMessage(message) {
+  return PERSONAL_HINT.test(message || '');
+}
+
+/**
+ * Propose durable facts from one exchange and store the new ones.
+ * Runs in the background after a reply has been sent.
+ */
+async function extractMemories(uid, message, reply, tier, { onUsage } = {}) {
+  if (!isPersonalMessage(message)) return [];
+
+  const prompt = `From this message, list durable personal facts about the user worth remembering for future conversations
+(family members and their names, birthdays and anniversaries, health conditions, doctors, preferences, job, city).
+Ignore temporary states, questions, opinions about the topic and anything about other people in general.
+
+User: ${message}
+Assistant: ${reply.substring(0, 500)}
+
+Return ONLY a JSON array like [{"text": "User's mother is named Sunita", "category": "family"}].
+Categories: ${CATEGORIES.join(', ')}. Return [] if there is nothing durable.`;
+
+  const { text } = await runProviderChain(resolveRoute('memory', tier).steps, {
+    message: prompt,
+    systemPrompt: 'You extract facts as strict JSON.',
+    history: [],
+  }, 'Memories', { onUsage });
+
+  let facts = [];
+  try {
+    const json = (text || '').replace(/```(?:json)?/g, '').trim();
+    facts = JSON.parse(json.substring(json.indexOf('['), json.lastIndexOf(']') + 1));
+  } catch (e) {
+    return [];
+  }
+  if (!Array.isArray(facts)) return [];
+
+  const saved = [];
+  for (const fact of facts.slice(0, 5)) {
+    if (!fact || typeof fact.text !== 'string' || fact.text.trim().length < 5) continue;
+    saved.push(await saveMemory(uid, fact.text, { category: fact.category, source: 'extracted' }));
+  }
+  if (saved.length) console.log(`[Memories] Extracted ${saved.length} fact(s) for ${uid}`);
+  return saved;
+}
+
+module.exports = {
+  list,
+  add,
+  update,
+  remove,
+  handleMemoryCommand,
+  getRelevantMemories,
+  withUserMemories,
+  extractMemories,
+  isPersonalMessage,
+  keywordsOf,
+};
@@ -0,0 +1,268 @@
+const admin = require('firebase-admin');
+const { OpenAI } = require('openai');
+const { TOOLS } = require('./ai-tools');
+const health = require('./provider-health');
+const mock = require('./ai-mock');
+
+// Optional OpenAI Assistants mode (OPENAI_ASSISTANT_ID).
+//
+// Each conversation maps to a persistent OpenAI thread, stored as `openaiThreadId`
+// on users/{uid}/conversations/{id}, so OpenAI keeps the history instead of us
+// resending it. Runs are polled; when a run asks for a tool (schedule, expense,
+// meet, call, SMS) the call goes through our own intent handlers and their result
+// is submitted back as the tool output.
+//
+// Enabled per request with `useAssistant: true`, or for every conversation with
+// OPENAI_ASSISTANT_MODE=true (requests can still opt out with `useAssistant: false`).
+// When a run fails the provider chain answers instead, and that reply is added to the
+// thread (recordFallbackReply) so the thread never ends on an unanswered user message.
+//
+// The run only gets the time the fallback chain can spare: the function limit minus the
+// chain's worst case. Runs report to the provider-health circuit breaker as
+// 'openai-assistant', and MOCK_AI swaps the client for ai-mock's in-memory threads.
+
+const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
+const OPENAI_ASSISTANT_ID = process.env.OPENAI_ASSISTANT_ID || (mock.MOCK_MODE === 'replay' ? 'asst_mock' : undefined);
+const openai = mock.openaiClient(OPENAI_API_KEY ? new OpenAI({ apiKey: OPENAI_API_KEY, timeout: 20000 }) : null);
+const HEALTH_NAME = 'openai-assistant';
+
+const FUNCTION_MAX_DURATION_MS = 60000; // vercel.json maxDuration for api/index.js
+const RESPONSE_MARGIN_MS = 3000;        // setup before the run and sending the reply
+const MAX_RUN_TIMEOUT_MS = 25000;       // whole turn, tool round-trips included
+const MIN_RUN_TIMEOUT_MS = 3000;        // less than this isn't worth starting a run
+const CANCEL_TIMEOUT_MS = 5000;
+const POLL_INTERVAL_MS = 500;
+const ACTIVE_STATUSES = ['queued', 'in_progress', 'cancelling'];
+const TERMINAL_STATUSES = ['completed', 'failed', 'cancelled', 'expired', 'incomplete'];
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// threadId -> cancel in progress; the fallback reply waits for it before writing to the thread
+const pendingCancels = new Map();
+
+function isAssistantConfigured() {
+  return !!openai && !!OPENAI_ASSISTANT_ID;
+}
+
+/**
+ * Whether this /ai/process request should use the assistant
+ */
+function wantsAssistant({ useAssistant, conversationId, mode }) {
+  if (!isAssistantConfigured() || !conversationId || mode === 'night') return false;
+  if (typeof useAssistant === 'boolean') return useAssistant;
+  return process.env.OPENAI_ASSISTANT_MODE === 'true';
+}
+
+function conversationRef(uid, conversationId) {
+  return admin.firestore().collection('users').doc(uid).collection('conversations').doc(conversationId);
+}
+
+/// Existing thread for the conversation, or a new one (saved on the conversation doc)
+async function getOrCreateThread(uid, conversationId) {
+  const ref = conversationRef(uid, conversationId);
+  const doc = await ref.get();
+  if (!doc.exists) return null;
+  if (doc.data().openaiThreadId) return doc.data().openaiThreadId;
+
+  const thread = await openai.beta.threads.create({ metadata: { uid, conversationId } });
+  await ref.update({ openaiThreadId: thread.id });
+  console.log(`[Assistant] 🧵 Created thread ${thread.id} for conversation ${conversationId}`);
+  return thread.id;
+}
+
+function messageText(message) {
+  return (message?.content || [])
+    .filter((part) => part.type === 'text')
+    .map((part) => part.text.value)
+    .join('');
+}
+
+async function latestReply(threadId, runId) {
+  const page = await openai.beta.threads.messages.list(threadId, { run_id: runId, order: 'desc', limit: 1 });
+  return messageText(page.data?.[0]);
+}
+
+/// Cancel a run in the background; recordFallbackReply waits for it before adding messages
+function startCancel(threadId, run, onUsage) {
+  const cancelling = cancelRun(threadId, run).then((settled) => reportRunUsage(settled, onUsage)).finally(() => {
+    if (pendingCancels.get(threadId) === cancelling) pendingCancels.delete(threadId);
+  });
+  pendingCancels.set(threadId, cancelling);
+}
+
+/// Cancel a run and wait until it has stopped - a thread with an active run rejects new messages.
+/// Resolves to the run's last known state (null if cancelling failed).
+async function cancelRun(threadId, run) {
+  try {
+    let current = run;
+    if (current.status !== 'cancelling' && !TERMINAL_STATUSES.includes(current.status)) {
+      current = await openai.beta.threads.runs.cancel(threadId, run.id);
+    }
+    const until = Date.now() + CANCEL_TIMEOUT_MS;
+    while (!TERMINAL_STATUSES.includes(current.status) && Date.now() < until) {
+      await sleep(POLL_INTERVAL_MS);
+      current = await openai.beta.threads.runs.retrieve(threadId, run.id);
+    }
+    if (!TERMINAL_STATUSES.includes(current.status)) {
+      console.error(`[Assistant] Run ${run.id} still ${current.status} after cancelling`);
+    }
+    return current;
+  } catch (e) {
+    console.error('[Assistant] Cancel error:', e.message);
+    return null;
+  }
+}
+
+/// Ledger entry for a run's token usage (any run that reports it - failed and cancelled ones are billed too)
+function reportRunUsage(run, onUsage) {
+  if (!run?.usage || !onUsage) return;
+  onUsage({
+    provider: 'openai',
+    model: run.model,
+    promptTokens: run.usage.prompt_tokens || 0,
+    completionTokens: run.usage.completion_tokens || 0,
+  });
+}
+
+/**
+ * Run one user turn on the conversation's thread.
+ *   fallbackBudgetMs  worst case of the chain that answers if the run fails (chainBudgetMs)
+ *   onToolCall(name, args) -> intent result or null; its summary becomes the tool output
+ *   onUsage?({ provider, model, promptTokens, completionTokens }) -> run token usage (ledger)
+ * Resolves to { text, toolResults, threadId }, or null when the assistant couldn't
+ * answer (caller falls back to the normal provider chain).
+ */
+async function runAssistantTurn({ uid, conversationId, message, instructions, maxTokens, fallbackBudgetMs = 0, onToolCall, onUsage }) {
+  const runTimeoutMs = Math.min(MAX_RUN_TIMEOUT_MS, FUNCTION_MAX_DURATION_MS - RESPONSE_MARGIN_MS - fallbackBudgetMs);
+  if (runTimeoutMs < MIN_RUN_TIMEOUT_MS) {
+    console.log(`[Assistant] ⏭️ Skipping run - the fallback chain needs ${fallbackBudgetMs / 1000}s of the function limit`);
+    return null;
+  }
+  if (!health.isAvailable(HEALTH_NAME)) {
+    console.log('[Assistant] ⏭️ Skipping run (circuit open)');
+    return null;
+  }
+
+  const startedAt = Date.now();
+  const deadline = startedAt + runTimeoutMs;
+  let threadId = null;
+  let run = null;
+  try {
+    threadId = await getOrCreateThread(uid, conversationId);
+    if (!threadId) {
+      health.releaseTrial(HEALTH_NAME);
+      return null;
+    }
+
+    await openai.beta.threads.messages.create(threadId, { role: 'user', content: message });
+    run = await openai.beta.threads.runs.create(threadId, {
+      assistant_id: OPENAI_ASSISTANT_ID,
+      additional_instructions: instructions,
+      // Tool schemas live in ai-tools.js so the assistant and tool routing agree
+      tools: TOOLS.map(({ name, description, parameters }) => ({
+        type: 'function',
+        function: { name, description, parameters },
+      })),
+      max_completion_tokens: maxTokens,
+    });
+    console.log(`[Assistant] ▶️ Run ${run.id} on thread ${threadId}`);
+
+    const toolResults = [];
+    while (Date.now() < deadline) {
+      if (ACTIVE_STATUSES.includes(run.status)) {
+        await sleep(POLL_INTERVAL_MS);
+        run = await openai.beta.threads.runs.retrieve(threadId, run.id);
+        continue;
+      }
+
+      if (run.status === 'requires_action') {
+        const calls = run.required_action?.submit_tool_outputs?.tool_calls || [];
+        const outputs = [];
+        for (const call of calls) {
+          let args = null;
+          try {
+            args = JSON.parse(call.function.arguments || '{}');
+          } catch (e) {
+            // invalid JSON - handler validation rejects it
+          }
+          console.log(`[Assistant] 🔧 Tool call ${call.function.name}`);
+          let result = null;
+          try {
+            result = await onToolCall(call.function.name, args);
+          } catch (e) {
+            console.error(`[Assistant] Tool ${call.function.name} error:`, e.message);
+          }
+          if (result) toolResults.push(result);
+          outputs.push({
+            tool_call_id: call.id,
+            output: JSON.stringify(result
+              ? {
+                ok: true,
+                summary: result.response,
+                requiresConfirmation: !!result.requiresConfirmation,
+                missingFields: result.pendingAction?.errors || [],
+              }
+              : { ok: false, error: 'Could not complete this action' }),
+          });
+        }
+        run = await openai.beta.threads.runs.submitToolOutputs(threadId, run.id, { tool_outputs: outputs });
+        continue;
+      }
+
+      reportRunUsage(run, onUsage);
+      if (run.status === 'completed') {
+        const text = await latestReply(threadId, run.id);
+        if (text.trim()) {
+          health.recordSuccess(HEALTH_NAME, Date.now() - startedAt);
+          console.log(`[Assistant] ✅ Run ${run.id} completed: ${text.length} chars, ${toolResults.length} tool call(s)`);
+          return { text, toolResults, threadId };
+        }
+      }
+
+      console.error(`[Assistant] ❌ Run ${run.id} ended with status ${run.status}:`, run.last_error?.message || 'empty reply');
+      health.recordFailure(HEALTH_NAME, run.last_error?.message || null);
+      return null;
+    }
+
+    console.error(`[Assistant] ⏱️ Run ${run.id} timed out after ${runTimeoutMs / 1000}s`);
+    health.recordFailure(HEALTH_NAME, new Error(`Run timed out after ${runTimeoutMs / 1000}s`));
+    startCancel(threadId, run, onUsage);
+    return null;
+  } catch (e) {
+    console.error('[Assistant] Error:', e.message);
+    health.recordFailure(HEALTH_NAME, e);
+    if (run && !TERMINAL_STATUSES.includes(run.status)) startCancel(threadId, run, onUsage);
+    return null;
+  }
+}
+
+/**
+ * Add a turn the provider chain answered to the conversation's thread, so the
+ * assistant sees it next time. The user message is only added when a failed run
+ * didn't already leave it there. No-op before the conversation has a thread.
+ */
+async function recordFallbackReply(uid, conversationId, message, reply) {
+  if (!isAssistantConfigured() || !conversationId || !reply) return;
+  const doc = await conversationRef(uid, conversationId).get();
+  const threadId = doc.exists ? doc.data().openaiThreadId : null;
+  if (!threadId) return;
+
+  await pendingCancels.get(threadId);
+  const page = await openai.beta.threads.messages.list(threadId, { order: 'desc', limit: 1 });
+  const last = page.data?.[0];
+  if (!(last?.role === 'user' && messageText(last) === message)) {
+    await openai.beta.threads.messages.create(threadId, { role: 'user', content: message });
+  }
+  await openai.beta.threads.messages.create(threadId, { role: 'assistant', content: reply });
+  console.log(`[Assistant] 🧵 Added fallback reply to thread ${threadId}`);
+}
+
+/**
+ * Delete a conversation's thread (background, when the conversation is deleted)
+ */
+async function deleteThread(threadId) {
+  if (!openai || !threadId) return;
+  await openai.beta.threads.del(threadId);
+}
+
+module.exports = { wantsAssistant, runAssistantTurn, recordFallbackReply, deleteThread };
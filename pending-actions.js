@@ -0,0 +1,224 @@
+const admin = require('firebase-admin');
+const { ok } = require('./utils');
+const { TOOLS, validateToolCall } = require('./ai-tools');
+const { recordOperation } = require('./action-log');
+const db = admin.firestore();
+
+// Confirm-before-commit for AI-detected intents.
+//
+// Intent handlers no longer write schedule items / expenses directly. They store a
+// pending action under users/{uid}/pending_actions/{id}:
+//   { type, fields, message, mode, status, errors, createdAt, expiresAt }
+// and return it to the client, which shows the parsed fields for the user to confirm
+// or edit. Only POST /actions/:id/confirm writes the record.
+// status: 'pending' -> 'confirmed' | 'cancelled' | 'expired'
+
+const PENDING_ACTION_TTL_MS = 10 * 60 * 1000; // unconfirmed actions expire after 10 minutes
+
+// Pending action type -> tool schema used to validate its fields (ai-tools.js)
+const TYPE_TOOLS = {
+  'schedule.add': 'create_schedule',
+  'google_meet.create': 'create_google_meet',
+  'expense.add': 'add_expense',
+};
+
+function pendingActionsRef(uid) {
+  return db.collection('users').doc(uid).collection('pending_actions');
+}
+
+/**
+ * Validate fields for a pending action type. Resolves to { valid, fields, errors }.
+ */
+function validateFields(type, fields) {
+  const name = TYPE_TOOLS[type];
+  const checked = validateToolCall({ name, args: fields });
+  // Keep invalid values (e.g. a guessed amount of 0) so the client can show and fix them,
+  // but drop fields the schema doesn't know
+  const { properties } = TOOLS.find((t) => t.name === name).parameters;
+  const known = Object.fromEntries(Object.entries(fields).filter(([key]) => key in properties));
+  return { valid: checked.valid, fields: { ...known, ...checked.args }, errors: checked.errors };
+}
+
+function formatDateTime(datetime) {
+  const when = new Date(datetime);
+  const timeStr = when.toLocaleTimeString('en-IN', { hour: 'numeric', minute: '2-digit', hour12: true });
+  const dateStr = when.toLocaleDateString('en-IN', { month: 'long', day: 'numeric' });
+  return { dateStr, timeStr };
+}
+
+/**
+ * Store a pending action. Resolves to the client-facing summary
+ * { id, type, fields, errors, expiresAt }.
+ */
+async function createPendingAction(uid, type, fields, { message, mode } = {}) {
+  const checked = validateFields(type, fields);
+  const expiresAt = admin.firestore.Timestamp.fromMillis(Date.now() + PENDING_ACTION_TTL_MS);
+  const ref = await pendingActionsRef(uid).add({
+    type,
+    fields: checked.fields,
+    errors: checked.errors,
+    message: message || '',
+    mode: mode || 'general',
+    status: 'pending',
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    expiresAt,
+  });
+  return {
+    id: ref.id,
+    type,
+    fields: checked.fields,
+    errors: checked.errors,
+    expiresAt: expiresAt.toDate().toISOString(),
+  };
+}
+
+// What each type writes on confirm, and what it tells the user / device
+const COMMITTERS = {
+  'schedule.add': (uid, fields, message) => {
+    const ref = db.collection('users').doc(uid).collection('schedule').doc();
+    const { dateStr, timeStr } = formatDateTime(fields.datetime);
+    return {
+      ref,
+      data: { title: fields.title, datetime: fields.datetime, note: fields.note || '' },
+      summary: `"${fields.title}" on ${dateStr} at ${timeStr}`,
+      result: {
+        response: `Done! I've added "${fields.title}" to your calendar for ${dateStr} at ${timeStr}. You'll get a reminder notification before the event.`,
+        scheduleId: ref.id,
+        backgroundAction: {
+          type: 'create_calendar_event',
+          data: { title: fields.title, startTime: fields.datetime, description: fields.note || message },
+          message: 'Adding to device calendar...'
+        },
+      },
+    };
+  },
+  'google_meet.create': (uid, fields, message) => {
+    const ref = db.collection('users').doc(uid).collection('schedule').doc();
+    const { dateStr, timeStr } = formatDateTime(fields.datetime);
+    const attendees = fields.attendees || [];
+    const attendeesList = attendees.length > 0 ? ` with ${attendees.join(', ')}` : '';
+    return {
+      ref,
+      data: { title: fields.title, datetime: fields.datetime, note: fields.description || '', type: 'google_meet', attendees },
+      summary: `Google Meet "${fields.title}" on ${dateStr} at ${timeStr}`,
+      result: {
+        response: `Perfect! I've scheduled a Google Meet "${fields.title}"${attendeesList} for ${dateStr} at ${timeStr}. The meeting has been added to your calendar with a Google Meet link, and you'll get a reminder 10 minutes before the meeting starts.`,
+        scheduleId: ref.id,
+        backgroundAction: {
+          type: 'create_google_meet',
+          data: { title: fields.title, startTime: fields.datetime, description: fields.description || message, attendees },
+          message: 'Creating Google Meet and adding to calendar...'
+        },
+      },
+    };
+  },
+  'expense.add': (uid, fields) => {
+    const ref = db.collection('users').doc(uid).collection('expenses').doc();
+    const category = fields.category || 'personal';
+    return {
+      ref,
+      data: { amount: fields.amount, category, note: fields.note || '' },
+      summary: `expense of Rs ${fields.amount}`,
+      result: {
+        response: `Got it! I've added an expense of Rs ${fields.amount} under ${category} category. Your expense has been tracked.`,
+        expenseId: ref.id,
+      },
+    };
+  },
+};
+
+/// Error with an HTTP status, thrown inside the confirm transaction
+function actionError(status, error, detail) {
+  const e = new Error(error);
+  e.status = status;
+  e.body = { error, detail };
+  return e;
+}
+
+// ===== ENDPOINTS =====
+
+async function confirm(req, res) {
+  const uid = req.userId;
+  const { id } = req.params;
+  const edits = (req.body || {}).fields || {};
+  const isDemo = uid === 'demo' || req.query.demo === 'true';
+
+  // Demo mode - pretend the action was saved
+  if (isDemo) {
+    console.log('[PendingActions] Demo mode - returning mock confirmation');
+    return ok(res, { id, status: 'confirmed', response: 'Done! (demo)', demo: true });
+  }
+
+  const ref = pendingActionsRef(uid).doc(id);
+  try {
+    const outcome = await db.runTransaction(async (tx) => {
+      const doc = await tx.get(ref);
+      if (!doc.exists) throw actionError(404, 'Pending action not found');
+
+      const pending = doc.data();
+      if (pending.status !== 'pending') throw actionError(409, `Action already ${pending.status}`);
+      if (pending.expiresAt.toMillis() < Date.now()) {
+        tx.update(ref, { status: 'expired' });
+        return { expired: true };
+      }
+
+      const checked = validateFields(pending.type, { ...pending.fields, ...edits });
+      if (!checked.valid) throw actionError(400, 'invalid_fields', checked.errors);
+
+      const commit = COMMITTERS[pending.type](uid, checked.fields, pending.message);
+      tx.set(commit.ref, { ...commit.data, createdAt: admin.firestore.FieldValue.serverTimestamp() });
+      recordOperation(uid, {
+        action: pending.type,
+        ref: commit.ref,
+        after: commit.data,
+        summary: commit.summary,
+        source: 'confirm',
+        pendingActionId: id,
+      }, tx);
+      tx.update(ref, {
+        status: 'confirmed',
+        fields: checked.fields,
+        resultId: commit.ref.id,
+        confirmedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      return { type: pending.type, ...commit.result };
+    });
+
+    if (outcome.expired) {
+      return res.status(410).json({ error: 'Pending action expired', detail: 'Ask again to create a new one' });
+    }
+    console.log(`[PendingActions] ✅ Confirmed ${outcome.type} ${id}`);
+    const { type, ...result } = outcome;
+    return ok(res, { id, status: 'confirmed', action: type, ...result });
+  } catch (e) {
+    if (e.status) return res.status(e.status).json(e.body);
+    console.error('[PendingActions] Firestore error:', e.message);
+    return res.status(500).json({ error: 'Failed to confirm action', detail: e.message });
+  }
+}
+
+async function cancel(req, res) {
+  const uid = req.userId;
+  const { id } = req.params;
+  const isDemo = uid === 'demo' || req.query.demo === 'true';
+
+  if (isDemo) {
+    return ok(res, { id, status: 'cancelled', demo: true });
+  }
+
+  try {
+    const ref = pendingActionsRef(uid).doc(id);
+    const doc = await ref.get();
+    if (!doc.exists) return res.status(404).json({ error: 'Pending action not found' });
+    if (doc.data().status !== 'pending') {
+      return res.status(409).json({ error: `Action already ${doc.data().status}` });
+    }
+    await ref.update({ status: 'cancelled', cancelledAt: admin.firestore.FieldValue.serverTimestamp() });
+    return ok(res, { id, status: 'cancelled' });
+  } catch (e) {
+    console.error('[PendingActions] Firestore error:', e.message);
+    return res.status(500).json({ error: 'Failed to cancel action', detail: e.message });
+  }
+}
+
+module.exports = { createPendingAction, formatDateTime, confirm, cancel, PENDING_ACTION_TTL_MS };
@@ -0,0 +1,222 @@
+const admin = require('firebase-admin');
+const { ok } = require('./utils');
+const { getSubscriptionTier } = require('./usage-limits');
+const db = admin.firestore();
+
+// User-defined assistant personas ("Meera, calm, mostly Hindi, no flirting").
+// Stored under users/{uid}/personas/{id} as { name, tone, languageMix, boundaries }.
+// /ai/process takes a personaId and adds the persona on top of the mode prompt.
+//
+// Persona text goes straight into the system prompt, so every field passes
+// checkPersonaSafety() when it is saved and again when it is used.
+
+// How many personas a subscription allows (server-side tier, not the client's tierLevel)
+const PERSONA_LIMITS = { free: 0, tier1: 1, tier2: 3, tier3: 10 };
+const FIELD_LIMITS = { name: 40, tone: 200, languageMix: 100, boundaries: 500 };
+
+// Persona text that would override the assistant's rules or is never allowed
+const BLOCKED_PATTERNS = [
+  { reason: 'Persona cannot change the assistant\'s instructions', pattern: /\b(ignore|disregard|forget|override|bypass)\b.{0,30}\b(instructions?|rules?|guidelines?|prompts?|polic(y|ies)|filters?)\b/i },
+  { reason: 'Persona cannot change the assistant\'s instructions', pattern: /\b(system prompt|developer mode|jailbreak|dan mode|no (rules|restrictions|limits|filters))\b/i },
+  { reason: 'Persona cannot be a minor', pattern: /\b(minor|under-?age|schoolgirl|schoolboy|([1-9]|1[0-7])\s*(years?|yrs?)[\s-]*old)\b/i },
+  { reason: 'Persona cannot encourage harm', pattern: /\b(encourag|promot|glorif)\w*\b.{0,20}\b(self[- ]?harm|suicide|violence|drugs?)\b/i },
+];
+
+function personasRef(uid) {
+  return db.collection('users').doc(uid).collection('personas');
+}
+
+/// Single-line, length-capped text; template braces stripped so it can't inject prompt variables
+function cleanField(value, max) {
+  if (typeof value !== 'string') return '';
+  return value.replace(/[{}]/g, '').replace(/\s+/g, ' ').trim().substring(0, max);
+}
+
+/**
+ * Clean persona fields from a request body (only the fields present)
+ */
+function cleanPersona(body) {
+  const persona = {};
+  for (const [field, max] of Object.entries(FIELD_LIMITS)) {
+    if (body[field] !== undefined) persona[field] = cleanField(body[field], max);
+  }
+  return persona;
+}
+
+/**
+ * Safety filter for persona text. Returns { ok: true } or { ok: false, reason }.
+ */
+function checkPersonaSafety(persona) {
+  const text = Object.keys(FIELD_LIMITS).map((field) => persona[field] || '').join('\n');
+  const blocked = BLOCKED_PATTERNS.find(({ pattern }) => pattern.test(text));
+  return blocked ? { ok: false, reason: blocked.reason } : { ok: true };
+}
+
+function serialize(doc) {
+  const data = doc.data();
+  return {
+    id: doc.id,
+    name: data.name,
+    tone: data.tone || '',
+    languageMix: data.languageMix || '',
+    boundaries: data.boundaries || '',
+    createdAt: data.createdAt?.toDate?.().toISOString() || null,
+    updatedAt: data.updatedAt?.toDate?.().toISOString() || null,
+  };
+}
+
+/// Whether a persona is within the current plan's limit - the oldest ones count first,
+/// so after a downgrade the personas created last stop being used
+async function withinPlanLimit(uid, personaId) {
+  const limit = PERSONA_LIMITS[await getSubscriptionTier(uid)] || 0;
+  if (limit === 0) return false;
+  const snap = await personasRef(uid).orderBy('createdAt').limit(limit).get();
+  return snap.docs.some((d) => d.id === String(personaId));
+}
+
+/**
+ * A user's persona for prompting, or null if it doesn't exist.
+ * A persona that no longer passes the safety filter, or is over the plan's limit
+ * (overLimit), is ignored.
+ */
+async function loadPersona(uid, personaId) {
+  const [doc, allowed] = await Promise.all([
+    personasRef(uid).doc(String(personaId)).get(),
+    withinPlanLimit(uid, personaId),
+  ]);
+  if (!doc.exists) return null;
+  const persona = serialize(doc);
+  if (!allowed) {
+    console.warn(`[Personas] ⚠️ Persona ${personaId} is over the plan's persona limit, using the default`);
+    return { ...persona, overLimit: true };
+  }
+  const safety = checkPersonaSafety(persona);
+  if (!safety.ok) {
+    console.warn(`[Personas] ⚠️ Persona ${personaId} failed the safety filter (${safety.reason}), not using it`);
+    return { ...persona, blocked: true };
+  }
+  return persona;
+}
+
+// ===== ENDPOINTS =====
+
+async function list(req, res) {
+  const uid = req.userId;
+  const isDemo = uid === 'demo' || req.query.demo === 'true';
+
+  // Demo mode - return a mock persona
+  if (isDemo) {
+    console.log('[Personas] Demo mode - returning mock personas');
+    return res.json({
+      personas: [
+        { id: 'demo_1', name: 'Meera', tone: 'Calm and caring', languageMix: 'Hinglish', boundaries: 'No flirting' },
+      ],
+      limit: PERSONA_LIMITS.tier2,
+    });
+  }
+
+  try {
+    const [snap, tier] = await Promise.all([personasRef(uid).orderBy('createdAt').get(), getSubscriptionTier(uid)]);
+    return res.json({ personas: snap.docs.map(serialize), limit: PERSONA_LIMITS[tier] });
+  } catch (e) {
+    console.error('[Personas] Firestore error:', e.message);
+    return res.status(500).json({ error: 'Failed to fetch personas', detail: e.message });
+  }
+}
+
+async function create(req, res) {
+  const uid = req.userId;
+  const isDemo = uid === 'demo' || req.query.demo === 'true';
+  const persona = cleanPersona(req.body || {});
+
+  if (!persona.name) return res.status(400).json({ error: 'name required' });
+  const safety = checkPersonaSafety(persona);
+  if (!safety.ok) return res.status(400).json({ error: 'Persona not allowed', detail: safety.reason });
+
+  if (isDemo) {
+    return ok(res, { id: `demo_${Date.now()}`, ...persona, demo: true });
+  }
+
+  try {
+    const [snap, tier] = await Promise.all([personasRef(uid).get(), getSubscriptionTier(uid)]);
+    const limit = PERSONA_LIMITS[tier];
+    if (snap.size >= limit) {
+      return res.status(403).json({
+        error: 'Persona limit reached',
+        detail: limit === 0
+          ? 'Custom personas are available on paid plans. Please upgrade to create one.'
+          : `Your plan allows ${limit} persona${limit === 1 ? '' : 's'}. Delete one or upgrade to add more.`,
+        limit,
+      });
+    }
+
+    const ref = await personasRef(uid).add({
+      name: persona.name,
+      tone: persona.tone || '',
+      languageMix: persona.languageMix || '',
+      boundaries: persona.boundaries || '',
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    console.log(`[Personas] ✅ Created persona ${ref.id} for ${uid}`);
+    return ok(res, serialize(await ref.get()));
+  } catch (e) {
+    console.error('[Personas] Firestore error:', e.message);
+    return res.status(500).json({ error: 'Failed to create persona', detail: e.message });
+  }
+}
+
+async function update(req, res) {
+  const uid = req.userId;
+  const { id } = req.params;
+  const isDemo = uid === 'demo' || req.query.demo === 'true';
+  const changes = cleanPersona(req.body || {});
+
+  if (Object.keys(changes).length === 0) {
+    return res.status(400).json({ error: 'name, tone, languageMix or boundaries required' });
+  }
+  if (changes.name === '') return res.status(400).json({ error: 'name cannot be empty' });
+
+  if (isDemo) {
+    return ok(res, { id, ...changes, demo: true });
+  }
+
+  try {
+    const ref = personasRef(uid).doc(id);
+    const doc = await ref.get();
+    if (!doc.exists) return res.status(404).json({ error: 'Persona not found' });
+
+    // Check the persona as it will be saved, not just the changed fields
+    const safety = checkPersonaSafety({ ...doc.data(), ...changes });
+    if (!safety.ok) return res.status(400).json({ error: 'Persona not allowed', detail: safety.reason });
+
+    await ref.update({ ...changes, updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+    return ok(res, serialize(await ref.get()));
+  } catch (e) {
+    console.error('[Personas] Firestore error:', e.message);
+    return res.status(500).json({ error: 'Failed to update persona', detail: e.message });
+  }
+}
+
+async function remove(req, res) {
+  const uid = req.userId;
+  const { id } = req.params;
+  const isDemo = uid === 'demo' || req.query.demo === 'true';
+
+  if (isDemo) {
+    return ok(res, { id, deleted: true, demo: true });
+  }
+
+  try {
+    const ref = personasRef(uid).doc(id);
+    const doc = await ref.get();
+    if (!doc.exists) return res.status(404).json({ error: 'Persona not found' });
+    await ref.delete();
+    return ok(res, { id, deleted: true });
+  } catch (e) {
+    console.error('[Personas] Firestore error:', e.message);
+    return res.status(500).json({ error: 'Failed to delete persona', detail: e.message });
+  }
+}
+
+module.exports = { list, create, update, remove, loadPersona, checkPersonaSafety };
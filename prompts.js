@@ -0,0 +1,150 @@
+// Versioned system prompt templates for the chat modes and the night-mode "Ev" persona.
+//
+// Each template keeps every version it has had, so an ai_logs entry's
+// { promptId, promptVersion } always points at the exact text that produced it.
+// Never edit a published version - add the next one. The newest version is used
+// unless PROMPT_VERSIONS pins another, e.g. PROMPT_VERSIONS='{"mode.finance":1}'.
+//
+// A version is { text, markdown?, context? }:
+//   markdown - formatting instructions appended for the streamed chat UI
+//   context  - append the CONTEXT_LINES below, filled from the request variables
+
+const TEMPLATES = {
+  'persona.ev': {
+    1: {
+      text: 'You are Ev – witty, haunting, romantic. Keep 18+ vibe with tone. Be conversational and detailed.',
+      markdown: 'Use proper markdown formatting: use **bold** for emphasis, `code` for code snippets, and add line breaks between paragraphs for readability.',
+    },
+  },
+  'mode.funLearn': {
+    1: {
+      text: 'You are a fun educational AI. Provide comprehensive, detailed explanations. Be engaging and thorough like ChatGPT.',
+      markdown: 'Use proper markdown formatting: use **bold** for emphasis, `code` for code snippets, ```code blocks``` for multi-line code, and add line breaks between paragraphs for readability.',
+    },
+  },
+  'mode.health': {
+    1: {
+      text: 'You are a health assistant. Provide complete, helpful information with all necessary details and explanations.',
+      markdown: 'Use proper markdown formatting: use **bold** for important terms, `code` for technical terms, and add line breaks between paragraphs for readability.',
+    },
+  },
+  'mode.finance': {
+    1: {
+      text: 'You are a finance advisor. Give practical, comprehensive advice with full explanations and examples.',
+      markdown: 'Use proper markdown formatting: use **bold** for key concepts, `code` for technical terms, and add line breaks between paragraphs for readability.',
+    },
+  },
+  'mode.default': {
+    1: {
+      text: 'You are a helpful AI assistant. Provide complete, detailed responses like ChatGPT or Gemini. Be thorough and comprehensive.',
+      markdown: 'Use proper markdown formatting: use **bold** for emphasis, `code` for code snippets, ```code blocks``` for multi-line code, and add line breaks between paragraphs for readability.',
+    },
+  },
+};
+
+// v2 of every template: v1 text plus the request context block
+for (const versions of Object.values(TEMPLATES)) {
+  versions[2] = { ...versions[1], context: true };
+}
+
+const MODE_TEMPLATES = {
+  night: 'persona.ev',
+  funLearn: 'mode.funLearn',
+  health: 'mode.health',
+  finance: 'mode.finance',
+};
+
+// A line is left out when any variable it uses is missing
+const CONTEXT_LINES = [
+  'Today is {{date}}.',
+  "The user's name is {{userName}}.",
+  'Reply in {{language}}.',
+  '{{replyStyle}}',
+];
+
+const REPLY_STYLES = {
+  short: 'Keep replies short: two or three sentences.',
+  detailed: 'Give detailed, well-structured replies.',
+};
+
+// Custom persona (personas.js) on top of a mode prompt. Same rule: lines with a missing field are left out.
+const PERSONA_HEADER = 'The user has customised how you come across. Everything above still applies - the persona only changes your name and style.';
+const PERSONA_LINES = [
+  'Your name is {{name}}.',
+  'Tone: {{tone}}',
+  'Language mix: {{languageMix}}',
+  'Boundaries the user has set (always respect them): {{boundaries}}',
+];
+
+let pinnedVersions = null;
+
+function getPinnedVersions() {
+  if (pinnedVersions) return pinnedVersions;
+  pinnedVersions = {};
+  if (process.env.PROMPT_VERSIONS) {
+    try {
+      pinnedVersions = JSON.parse(process.env.PROMPT_VERSIONS);
+    } catch (e) {
+      console.error('[Prompts] Invalid PROMPT_VERSIONS, using latest versions:', e.message);
+    }
+  }
+  return pinnedVersions;
+}
+
+function fillLines(lines, vars) {
+  return lines
+    .filter((line) => [...line.matchAll(/{{(\w+)}}/g)].every(([, name]) => vars[name]))
+    .map((line) => line.replace(/{{(\w+)}}/g, (_, name) => vars[name]))
+    .join('\n');
+}
+
+/**
+ * Template id for a chat mode
+ */
+function templateForMode(mode) {
+  return MODE_TEMPLATES[mode] || 'mode.default';
+}
+
+/**
+ * Render a template. Resolves the version (explicit > PROMPT_VERSIONS > newest) and
+ * returns { id, version, text }.
+ *   vars: { userName, language, replyStyle, date } - date defaults to today
+ */
+function renderPrompt(id, { version, markdown = false, vars = {} } = {}) {
+  const versions = TEMPLATES[id] || TEMPLATES['mode.default'];
+  const templateId = TEMPLATES[id] ? id : 'mode.default';
+  const available = Object.keys(versions).map(Number);
+  const wanted = Number(version || getPinnedVersions()[templateId]);
+  const resolved = available.includes(wanted) ? wanted : Math.max(...available);
+  const template = versions[resolved];
+
+  let text = markdown && template.markdown ? `${template.text} ${template.markdown}` : template.text;
+  if (template.context) {
+    const context = fillLines(CONTEXT_LINES, {
+      date: vars.date || new Date().toLocaleDateString('en-IN', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' }),
+      userName: vars.userName,
+      language: vars.language,
+      replyStyle: REPLY_STYLES[vars.replyStyle],
+    });
+    if (context) text += `\n\n${context}`;
+  }
+  return { id: templateId, version: resolved, text };
+}
+
+/**
+ * System prompt for a chat mode
+ */
+function renderModePrompt(mode, options = {}) {
+  return renderPrompt(templateForMode(mode), options);
+}
+
+/**
+ * Add a user persona ({ name, tone, languageMix, boundaries }) to a rendered prompt's text.
+ * The persona must already have passed the personas.js safety filter.
+ */
+function withPersona(text, persona) {
+  if (!persona) return text;
+  return `${text}\n\n${PERSONA_HEADER}\n${fillLines(PERSONA_LINES, persona)}`;
+}
+
+module.exports = { renderPrompt, renderModePrompt, templateForMode, withPersona };
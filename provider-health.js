@@ -0,0 +1,135 @@
+// Per-provider health tracking and circuit breaker.
+//
+// Every provider call reports success/failure and latency here. After
+// FAILURE_THRESHOLD consecutive failures the provider's circuit opens and the
+// chain skips it for COOL_OFF_MS instead of waiting out its timeout on every
+// request. After the cool-off one trial request is let through (half-open):
+// success closes the circuit, failure opens it again.
+//
+// State is in memory, so it is per server instance (each Vercel instance learns
+// on its own) and resets on cold start - which is fine for a breaker.
+
+const FAILURE_THRESHOLD = 3;
+const COOL_OFF_MS = 60 * 1000;
+const LATENCY_SAMPLES = 50;     // recent successful calls kept for p50/p95
+
+const startedAt = new Date();
+const health = new Map();
+
+function entry(name) {
+  if (!health.has(name)) {
+    health.set(name, {
+      successes: 0,
+      failures: 0,
+      consecutiveFailures: 0,
+      latencies: [],
+      lastError: null,
+      lastErrorAt: null,
+      lastSuccessAt: null,
+      state: 'closed',
+      openedAt: null,
+      trialInFlight: false,
+    });
+  }
+  return health.get(name);
+}
+
+/**
+ * Whether a provider may be called now. In half-open state only one trial
+ * request is allowed at a time.
+ */
+function isAvailable(name) {
+  const h = entry(name);
+  if (h.state === 'closed') return true;
+  if (h.state === 'open') {
+    if (Date.now() - h.openedAt < COOL_OFF_MS) return false;
+    h.state = 'half_open';
+    console.log(`[ProviderHealth] 🟡 ${name} cool-off over, allowing a trial request`);
+  }
+  if (h.trialInFlight) return false;
+  h.trialInFlight = true;
+  return true;
+}
+
+function recordSuccess(name, latencyMs) {
+  const h = entry(name);
+  h.successes += 1;
+  h.consecutiveFailures = 0;
+  h.lastSuccessAt = new Date();
+  h.latencies.push(latencyMs);
+  if (h.latencies.length > LATENCY_SAMPLES) h.latencies.shift();
+  if (h.state !== 'closed') console.log(`[ProviderHealth] 🟢 ${name} recovered, circuit closed`);
+  h.state = 'closed';
+  h.openedAt = null;
+  h.trialInFlight = false;
+}
+
+function recordFailure(name, error) {
+  const h = entry(name);
+  h.failures += 1;
+  h.consecutiveFailures += 1;
+  h.lastError = String(error?.message || error || 'empty response').substring(0, 200);
+  h.lastErrorAt = new Date();
+  h.trialInFlight = false;
+  if (h.state === 'half_open' || h.consecutiveFailures >= FAILURE_THRESHOLD) {
+    if (h.state !== 'open') {
+      console.error(`[ProviderHealth] 🔴 ${name} circuit open for ${COOL_OFF_MS / 1000}s after ${h.consecutiveFailures} failure(s)`);
+    }
+    h.state = 'open';
+    h.openedAt = Date.now();
+  }
+}
+
+/// Release a half-open trial that ended without a verdict (e.g. client disconnected)
+function releaseTrial(name) {
+  entry(name).trialInFlight = false;
+}
+
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))];
+}
+
+/**
+ * Health and breaker state for every provider seen so far
+ */
+function getHealthSnapshot() {
+  const providers = {};
+  for (const [name, h] of health) {
+    const sorted = [...h.latencies].sort((a, b) => a - b);
+    const total = h.successes + h.failures;
+    providers[name] = {
+      state: h.state,
+      successes: h.successes,
+      failures: h.failures,
+      errorRate: total ? Number((h.failures / total).toFixed(3)) : 0,
+      consecutiveFailures: h.consecutiveFailures,
+      latencyMs: { p50: percentile(sorted, 0.5), p95: percentile(sorted, 0.95), samples: sorted.length },
+      lastError: h.lastError,
+      lastErrorAt: h.lastErrorAt?.toISOString() || null,
+      lastSuccessAt: h.lastSuccessAt?.toISOString() || null,
+      reopensAt: h.state === 'open' ? new Date(h.openedAt + COOL_OFF_MS).toISOString() : null,
+    };
+  }
+  return {
+    instanceStartedAt: startedAt.toISOString(),
+    breaker: { failureThreshold: FAILURE_THRESHOLD, coolOffMs: COOL_OFF_MS },
+    providers,
+  };
+}
+
+// ===== ENDPOINTS =====
+
+async function diagnostics(req, res) {
+  // Required here, not at the top: ai-providers.js requires this module
+  const { listProviders } = require('./ai-providers');
+  const snapshot = getHealthSnapshot();
+  const configured = Object.fromEntries(listProviders().map((p) => [p.name, p.configured]));
+  for (const name of Object.keys(configured)) {
+    if (!snapshot.providers[name]) snapshot.providers[name] = { state: 'closed', successes: 0, failures: 0 };
+    snapshot.providers[name].configured = configured[name];
+  }
+  return res.json(snapshot);
+}
+
+module.exports = { isAvailable, recordSuccess, recordFailure, releaseTrial, getHealthSnapshot, diagnostics };
@@ -0,0 +1,138 @@
+const crypto = require('crypto');
+const admin = require('firebase-admin');
+
+// Opt-in cache for generic AI replies ("what is SIP", "good morning").
+//
+// Enabled with AI_RESPONSE_CACHE=memory (per instance, fine locally and on
+// serverless) or AI_RESPONSE_CACHE=firestore (shared, top-level response_cache
+// collection). Entries live AI_RESPONSE_CACHE_TTL_SECONDS (default 6 hours).
+// Keys are a hash of the normalized message + mode + tier + fast flag + prompt
+// template version (prompts.js) + language / reply style, so a new prompt
+// version starts with an empty cache.
+//
+// Only the caller decides what is cacheable - it must never pass requests with
+// attachments, history, remembered facts or first-person (personal) content.
+
+const DEFAULT_TTL_SECONDS = 6 * 60 * 60;
+const MEMORY_MAX_ENTRIES = 500;
+
+function sha256(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+/// "What is SIP?" and "what is  sip" share an entry
+function normalizePrompt(message) {
+  return String(message || '')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .replace(/[\s?!.,]+$/, '')
+    .trim();
+}
+
+function createMemoryBackend() {
+  const entries = new Map();
+  return {
+    name: 'memory',
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      if (entry.expiresAt < Date.now()) {
+        entries.delete(key);
+        return null;
+      }
+      return entry.value;
+    },
+    async set(key, value, ttlMs) {
+      entries.delete(key);
+      entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+      // Map keeps insertion order - drop the oldest entries first
+      while (entries.size > MEMORY_MAX_ENTRIES) entries.delete(entries.keys().next().value);
+    },
+  };
+}
+
+function createFirestoreBackend() {
+  const collection = () => admin.firestore().collection('response_cache');
+  return {
+    name: 'firestore',
+    async get(key) {
+      const doc = await collection().doc(key).get();
+      if (!doc.exists) return null;
+      const { value, expiresAt } = doc.data();
+      if (!expiresAt || expiresAt.toMillis() < Date.now()) return null;
+      return value;
+    },
+    async set(key, value, ttlMs) {
+      await collection().doc(key).set({
+        value,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        expiresAt: admin.firestore.Timestamp.fromMillis(Date.now() + ttlMs),  // also usable as a Firestore TTL field
+      });
+    },
+  };
+}
+
+let backend;
+
+function getBackend() {
+  if (backend !== undefined) return backend;
+  const kind = process.env.AI_RESPONSE_CACHE;
+  if (kind === 'memory') backend = createMemoryBackend();
+  else if (kind === 'firestore') backend = createFirestoreBackend();
+  else {
+    if (kind) console.error(`[ResponseCache] Unknown AI_RESPONSE_CACHE "${kind}", cache disabled`);
+    backend = null;
+  }
+  if (backend) console.log(`[ResponseCache] 🗄️ Using ${backend.name} backend`);
+  return backend;
+}
+
+function isResponseCacheEnabled() {
+  return !!getBackend();
+}
+
+function ttlMs() {
+  const seconds = parseInt(process.env.AI_RESPONSE_CACHE_TTL_SECONDS, 10);
+  return (seconds > 0 ? seconds : DEFAULT_TTL_SECONDS) * 1000;
+}
+
+/**
+ * Cache key for a generic request
+ */
+function responseCacheKey({ message, mode, tier, fast, promptVersion, language, replyStyle }) {
+  return sha256(JSON.stringify([
+    normalizePrompt(message),
+    mode || 'general',
+    tier || 'free',
+    !!fast,
+    promptVersion || null,
+    language || null,
+    replyStyle || null,
+  ]));
+}
+
+/**
+ * Cached { response, provider } for a key, or null. Cache errors count as a miss.
+ */
+async function getCachedResponse(key) {
+  const cache = getBackend();
+  if (!cache) return null;
+  try {
+    return await cache.get(key);
+  } catch (e) {
+    console.error('[ResponseCache] Read error:', e.message);
+    return null;
+  }
+}
+
+/**
+ * Store a reply (background - never awaited by the request)
+ */
+function cacheResponse(key, value) {
+  const cache = getBackend();
+  if (!cache) return;
+  cache.set(key, value, ttlMs())
+    .catch((err) => console.error('[ResponseCache] Write error:', err.message));
+}
+
+module.exports = { isResponseCacheEnabled, responseCacheKey, getCachedResponse, cacheResponse };
@@ -70,10 +70,20 @@ console.log('[server] Environment variables loaded:', {
 });
 
 // Import route handlers
-const { requireAuth, asyncHandler } = require('./utils');
+const { requireAuth, requireAdmin, asyncHandler } = require('./utils');
 const ai = require('./ai');
 const schedule = require('./schedule');
 const expense = require('./expense');
+const conversations = require('./conversations');
+const memories = require('./memories');
+const personas = require('./personas');
+const pendingActions = require('./pending-actions');
+const actionLog = require('./action-log');
+const providerHealth = require('./provider-health');
+const usageLedger = require('./usage-ledger');
+const experiments = require('./experiments');
+const attachments = require('./attachments');
+const speech = require('./speech');
 // const mom = require('./mom'); // Commented out - file doesn't exist
 const razorpay = require('./razorpay');
 const auth = require('./auth');
@@ -110,7 +120,7 @@ const corsOptions = {
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization', 'x-demo', 'firebase-auth-token', 'x-stream', 'X-Stream', 'Accept'],
-  exposedHeaders: ['Content-Length', 'Content-Type'],
+  exposedHeaders: ['Content-Length', 'Content-Type', 'X-Stream-Id'],
   maxAge: 86400, // 24 hours
   preflightContinue: false,
   optionsSuccessStatus: 204
@@ -170,6 +180,9 @@ app.post('/ai/process', requireAuth, asyncHandler(async (req, res) => {
   return ai.processMessage(req, res);
 }));
 app.post('/voice/intent', requireAuth, asyncHandler(ai.voiceIntent));
+app.post('/voice/transcribe', requireAuth, asyncHandler(speech.transcribe));
+app.post('/ai/feedback', requireAuth, asyncHandler(ai.feedback));
+app.post('/ai/regenerate', requireAuth, asyncHandler(ai.regenerate));
 
 // Schedule endpoints
 app.post('/schedule/add', requireAuth, asyncHandler(schedule.add));
@@ -179,6 +192,40 @@ app.get('/schedule/list', requireAuth, asyncHandler(schedule.list));
 app.post('/expense/add', requireAuth, asyncHandler(expense.add));
 app.get('/report/monthly', requireAuth, asyncHandler(expense.monthly));
 
+// Conversation endpoints (server-side chat history)
+app.post('/conversations', requireAuth, asyncHandler(conversations.create));
+app.get('/conversations', requireAuth, asyncHandler(conversations.list));
+app.put('/conversations/:id', requireAuth, asyncHandler(conversations.rename));
+app.delete('/conversations/:id', requireAuth, asyncHandler(conversations.remove));
+app.get('/conversations/:id/messages', requireAuth, asyncHandler(conversations.messages));
+
+// Long-term memory endpoints (facts the assistant remembers about the user)
+app.get('/memories', requireAuth, asyncHandler(memories.list));
+app.post('/memories', requireAuth, asyncHandler(memories.add));
+app.put('/memories/:id', requireAuth, asyncHandler(memories.update));
+app.delete('/memories/:id', requireAuth, asyncHandler(memories.remove));
+
+// Custom assistant personas (used with personaId on /ai/process)
+app.get('/personas', requireAuth, asyncHandler(personas.list));
+app.post('/personas', requireAuth, asyncHandler(personas.create));
+app.put('/personas/:id', requireAuth, asyncHandler(personas.update));
+app.delete('/personas/:id', requireAuth, asyncHandler(personas.remove));
+
+// File uploads for /ai/process attachments and expense images
+app.post('/attachments', requireAuth, asyncHandler(attachments.upload));
+
+// AI action endpoints (undo / audit trail, confirm or discard pending intents)
+app.post('/actions/undo', requireAuth, asyncHandler(actionLog.undo));
+app.get('/actions/history', requireAuth, asyncHandler(actionLog.history));
+app.post('/actions/:id/confirm', requireAuth, asyncHandler(pendingActions.confirm));
+app.post('/actions/:id/cancel', requireAuth, asyncHandler(pendingActions.cancel));
+
+// Diagnostics (ADMIN_UIDS only): provider health, circuit breaker state and AI cost
+app.get('/diagnostics/providers', requireAuth, requireAdmin, asyncHandler(providerHealth.diagnostics));
+app.get('/usage/costs', requireAuth, requireAdmin, asyncHandler(usageLedger.costReport));
+app.get('/experiments/report', requireAuth, requireAdmin, asyncHandler(experiments.report));
+app.post('/attachments/cleanup', requireAuth, requireAdmin, asyncHandler(attachments.cleanup));
+
 // Mom/recording endpoints
 // app.post('/mom/record', requireAuth, asyncHandler(mom.record)); // Commented out - mom module doesn't exist
 
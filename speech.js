@@ -0,0 +1,300 @@
+const { ok } = require('./utils');
+const { readMultipartFile } = require('./attachments');
+const { getSubscriptionTier, reserveDailyQuota, releaseDailyQuota } = require('./usage-limits');
+const { usageRecorder } = require('./usage-ledger');
+
+// Server-side speech-to-text for /voice/transcribe.
+//
+// Audio comes as a multipart upload (field `audio`, options as form fields) or as the raw
+// request body (Content-Type audio/*, may be sent chunked; options in the query string).
+// The format is sniffed from the bytes (WAV, FLAC, Ogg/WebM Opus, AMR); `encoding` and
+// `sampleRateHertz` override it, e.g. for raw LINEAR16. Recognition is synchronous, so
+// clips should stay under about a minute.
+//
+// Languages: `languageCode` (default hi-IN) plus up to 3 `alternativeLanguageCodes`
+// (default en-IN / hi-IN, whichever isn't primary) - Hinglish is usually recognized
+// best with both. With `forward: "voiceIntent" | "processMessage"` the transcript goes
+// straight on as the command / message, with the remaining options as that request's body.
+//
+// Recognition is paid, so every call counts against a daily per-tier quota (server-side
+// subscription tier) before it is made - given back if the recognizer fails - and the
+// billed audio goes into the usage ledger.
+//
+// A recognizer is { name, model?, recognize(audio, config) } resolving to
+// { transcript, confidence, languageCode, billedSeconds? }, where config is
+// { languageCode, alternativeLanguageCodes, encoding?, sampleRateHertz? }.
+// SPEECH_RECOGNIZER picks one by name: 'google' (default, @google-cloud/speech with the
+// Firebase service account or application default credentials) or 'stub' (offline; the
+// default with MOCK_AI=true). Tests can add their own with registerRecognizer().
+
+const MAX_AUDIO_BYTES = 10 * 1024 * 1024;  // Google's limit for inline audio
+const RECOGNIZE_TIMEOUT_MS = 30000;
+const MAX_ALTERNATIVE_LANGUAGES = 3;
+const DEFAULT_LANGUAGE = 'hi-IN';
+const LANGUAGE_CODE = /^[a-z]{2,3}(-[A-Za-z0-9]{2,4}){1,2}$/;
+const FORWARD_TARGETS = ['voiceIntent', 'processMessage'];
+
+// Transcriptions per day (UTC), by the server-side subscription tier
+const TRANSCRIBE_LIMITS = {
+  free: { daily: 20 },
+  tier1: { daily: 200 },
+  tier2: { daily: 500 },
+  tier3: { daily: 1000 },
+};
+
+// Google encoding per audio type; WAV and FLAC carry their own sample rate
+const AUDIO_FORMATS = {
+  'audio/wav': {},
+  'audio/flac': { encoding: 'FLAC' },
+  'audio/ogg': { encoding: 'OGG_OPUS', sampleRateHertz: 48000 },
+  'audio/webm': { encoding: 'WEBM_OPUS', sampleRateHertz: 48000 },
+  'audio/amr': { encoding: 'AMR', sampleRateHertz: 8000 },
+  'audio/amr-wb': { encoding: 'AMR_WB', sampleRateHertz: 16000 },
+  'audio/l16': { encoding: 'LINEAR16', sampleRateHertz: 16000 },
+};
+const AUDIO_TYPE_ALIASES = { 'audio/x-wav': 'audio/wav', 'audio/wave': 'audio/wav', 'audio/x-flac': 'audio/flac' };
+
+// ===== RECOGNIZERS =====
+
+const recognizers = new Map();
+
+function registerRecognizer(recognizer) {
+  if (!recognizer || !recognizer.name || typeof recognizer.recognize !== 'function') {
+    throw new Error('Recognizer must have a name and a recognize() function');
+  }
+  recognizers.set(recognizer.name, recognizer);
+}
+
+function getRecognizer() {
+  const name = process.env.SPEECH_RECOGNIZER || (process.env.MOCK_AI === 'true' ? 'stub' : 'google');
+  return recognizers.get(name) || null;
+}
+
+let speechClient = null;
+
+function googleClient() {
+  if (speechClient) return speechClient;
+  const { SpeechClient } = require('@google-cloud/speech');
+  const options = {};
+  if (process.env.FIREBASE_SERVICE_ACCOUNT) {
+    const serviceAccount = JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT);
+    options.projectId = serviceAccount.project_id;
+    options.credentials = { client_email: serviceAccount.client_email, private_key: serviceAccount.private_key };
+  }
+  speechClient = new SpeechClient(options);
+  return speechClient;
+}
+
+registerRecognizer({
+  name: 'google',
+  model: 'google-speech',  // usage-ledger.js price
+  recognize: async (audio, { languageCode, alternativeLanguageCodes, encoding, sampleRateHertz }) => {
+    const [response] = await googleClient().recognize({
+      config: {
+        languageCode,
+        alternativeLanguageCodes,
+        encoding,
+        sampleRateHertz,
+        enableAutomaticPunctuation: true,
+      },
+      audio: { content: audio.toString('base64') },
+    }, { timeout: RECOGNIZE_TIMEOUT_MS });
+
+    // One result per stretch of speech - join them, confidence is the average
+    const results = (response.results || []).filter((r) => r.alternatives && r.alternatives.length);
+    const transcript = results.map((r) => r.alternatives[0].transcript.trim()).join(' ').trim();
+    const confidence = results.length
+      ? results.reduce((sum, r) => sum + (r.alternatives[0].confidence || 0), 0) / results.length
+      : 0;
+    const billed = response.totalBilledTime;
+    return {
+      transcript,
+      confidence,
+      languageCode: results[0]?.languageCode || languageCode,
+      billedSeconds: billed ? Number(billed.seconds || 0) + (billed.nanos || 0) / 1e9 : undefined,
+    };
+  },
+});
+
+// Offline stand-in: the "audio" is read as UTF-8 text, so local runs and tests can send
+// the transcript they want as the audio body
+registerRecognizer({
+  name: 'stub',
+  recognize: async (audio, { languageCode }) => {
+    const transcript = audio.toString('utf8').trim();
+    return { transcript, confidence: transcript ? 1 : 0, languageCode };
+  },
+});
+
+// ===== REQUEST PARSING =====
+
+function sniffAudioType(buffer) {
+  const ascii = buffer.subarray(0, 12).toString('latin1');
+  if (ascii.startsWith('RIFF') && ascii.substring(8, 12) === 'WAVE') return 'audio/wav';
+  if (ascii.startsWith('fLaC')) return 'audio/flac';
+  if (ascii.startsWith('OggS')) return 'audio/ogg';
+  if (buffer[0] === 0x1a && buffer[1] === 0x45 && buffer[2] === 0xdf && buffer[3] === 0xa3) return 'audio/webm';
+  if (ascii.startsWith('#!AMR-WB\n')) return 'audio/amr-wb';
+  if (ascii.startsWith('#!AMR\n')) return 'audio/amr';
+  return null;
+}
+
+/// Encoding / sample rate for the audio: sniffed, else the declared type, with explicit options on top
+function audioFormat(buffer, declaredType, options) {
+  const declared = String(declaredType || '').split(';')[0].trim().toLowerCase();
+  const type = sniffAudioType(buffer) || AUDIO_TYPE_ALIASES[declared] || declared;
+  const format = { ...(AUDIO_FORMATS[type] || {}) };
+  if (options.encoding) format.encoding = String(options.encoding).toUpperCase();
+  if (options.sampleRateHertz) format.sampleRateHertz = Number(options.sampleRateHertz);
+  return (AUDIO_FORMATS[type] || options.encoding) ? format : null;
+}
+
+/// Form fields and query values are strings - turn booleans and JSON back into values
+function parseOptionValue(value) {
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  if (/^\s*[[{]/.test(value)) {
+    try {
+      return JSON.parse(value);
+    } catch (e) {
+      return value;
+    }
+  }
+  return value;
+}
+
+/// Raw request body up to maxBytes: { buffer, tooLarge }
+function readRawBody(req, maxBytes) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    let tooLarge = false;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > maxBytes) tooLarge = true;
+      else chunks.push(chunk);
+    });
+    req.on('end', () => resolve({ buffer: Buffer.concat(chunks), tooLarge }));
+    req.on('error', reject);
+  });
+}
+
+/// The request's audio and options: { audio, declaredType, tooLarge, options }, audio null when missing
+async function readAudioRequest(req) {
+  const contentType = String(req.headers['content-type'] || '').toLowerCase();
+  const query = { ...req.query };
+  delete query.demo;
+
+  if (contentType.startsWith('multipart/form-data')) {
+    const { file, fields } = await readMultipartFile(req, { field: 'audio', maxBytes: MAX_AUDIO_BYTES });
+    const options = {};
+    for (const [key, value] of Object.entries({ ...query, ...fields })) options[key] = parseOptionValue(value);
+    return { audio: file?.buffer || null, declaredType: file?.declaredType, tooLarge: !!file?.tooLarge, options };
+  }
+
+  // Raw audio body (possibly chunked) - JSON bodies were already consumed by express.json()
+  if (req.readableEnded || contentType.startsWith('application/json')) {
+    return { audio: null, options: {} };
+  }
+  const { buffer, tooLarge } = await readRawBody(req, MAX_AUDIO_BYTES);
+  const options = {};
+  for (const [key, value] of Object.entries(query)) options[key] = parseOptionValue(value);
+  return { audio: buffer.length ? buffer : null, declaredType: contentType, tooLarge, options };
+}
+
+/// { languageCode, alternativeLanguageCodes } from the options, or { error }
+function languageConfig(options) {
+  const languageCode = options.languageCode || DEFAULT_LANGUAGE;
+  let alternatives = options.alternativeLanguageCodes;
+  if (alternatives === undefined) alternatives = [languageCode === 'hi-IN' ? 'en-IN' : 'hi-IN'];
+  if (typeof alternatives === 'string') alternatives = alternatives.split(',').map((code) => code.trim()).filter(Boolean);
+  if (!Array.isArray(alternatives)) return { error: 'alternativeLanguageCodes must be a list of language codes' };
+
+  alternatives = alternatives.filter((code) => code !== languageCode);
+  if (alternatives.length > MAX_ALTERNATIVE_LANGUAGES) return { error: `At most ${MAX_ALTERNATIVE_LANGUAGES} alternativeLanguageCodes` };
+  const invalid = [languageCode, ...alternatives].find((code) => typeof code !== 'string' || !LANGUAGE_CODE.test(code));
+  if (invalid !== undefined) return { error: `Invalid language code "${invalid}"` };
+  return { languageCode, alternativeLanguageCodes: alternatives };
+}
+
+// ===== ENDPOINT =====
+
+/**
+ * Transcribe audio. Returns { transcript, confidence, languageCode }, or with `forward`,
+ * the voiceIntent / processMessage response with a `transcription` field added.
+ */
+async function transcribe(req, res) {
+  const uid = req.userId;
+  const isDemo = uid === 'demo' || req.query.demo === 'true';
+
+  const { audio, declaredType, tooLarge, options } = await readAudioRequest(req);
+  if (tooLarge) return res.status(413).json({ error: 'Audio too large', detail: `Up to ${MAX_AUDIO_BYTES / (1024 * 1024)}MB (about a minute of speech).` });
+  if (!audio) return res.status(400).json({ error: 'audio required', detail: 'Send a multipart `audio` file or the audio as the request body.' });
+
+  const { forward, languageCode: _l, alternativeLanguageCodes: _a, encoding: _e, sampleRateHertz: _s, ...forwardBody } = options;
+  if (forward && !FORWARD_TARGETS.includes(forward)) {
+    return res.status(400).json({ error: `forward must be one of: ${FORWARD_TARGETS.join(', ')}` });
+  }
+  const language = languageConfig(options);
+  if (language.error) return res.status(400).json({ error: language.error });
+  const format = audioFormat(audio, declaredType, options);
+  if (!format) {
+    return res.status(415).json({ error: 'Unsupported audio format', detail: 'Send WAV, FLAC, Ogg/WebM Opus or AMR audio, or set encoding and sampleRateHertz.' });
+  }
+
+  let transcription;
+  if (isDemo) {
+    // Demo mode - mock transcript, still forwarded so the whole flow can be tried
+    console.log('[Speech] Demo mode - returning mock transcript');
+    transcription = { transcript: 'kal subah 10 baje meeting hai', confidence: 0.9, languageCode: language.languageCode };
+  } else {
+    const recognizer = getRecognizer();
+    if (!recognizer) return res.status(500).json({ error: 'Speech recognition is not configured', detail: `Unknown SPEECH_RECOGNIZER "${process.env.SPEECH_RECOGNIZER}"` });
+
+    // Counted before the call, so parallel requests can't overshoot the limit
+    const tier = await getSubscriptionTier(uid);
+    const { daily } = TRANSCRIBE_LIMITS[tier];
+    const day = await reserveDailyQuota(uid, 'transcriptions', daily);
+    if (!day) {
+      return res.status(429).json({ error: 'Transcription limit reached', detail: `Your plan allows ${daily} transcriptions per day.`, limit: daily });
+    }
+    const onUsage = usageRecorder(uid, { route: 'transcribe', mode: forwardBody.mode, tier });
+
+    try {
+      const startedAt = Date.now();
+      const result = await recognizer.recognize(audio, { ...language, ...format });
+      if (onUsage) {
+        onUsage({
+          provider: recognizer.name,
+          model: recognizer.model || recognizer.name,
+          promptTokens: 0,
+          completionTokens: 0,
+          audioSeconds: result.billedSeconds ?? null,
+        });
+      }
+      transcription = {
+        transcript: result.transcript || '',
+        confidence: Number((result.confidence || 0).toFixed(3)),
+        languageCode: result.languageCode || language.languageCode,
+      };
+      console.log(`[Speech] 🎙️ ${recognizer.name}: ${transcription.transcript.length} chars, confidence ${transcription.confidence}, ${transcription.languageCode} (${Date.now() - startedAt}ms)`);
+    } catch (e) {
+      console.error(`[Speech] ❌ ${recognizer.name} error:`, e.message);
+      releaseDailyQuota(uid, 'transcriptions', day);
+      return res.status(502).json({ error: 'Speech recognition failed', detail: e.message });
+    }
+  }
+
+  if (!forward || !transcription.transcript) return ok(res, transcription);
+
+  // Hand the transcript on as if the app had sent it; the reply carries the transcription too
+  const ai = require('./ai');
+  req.body = forward === 'voiceIntent'
+    ? { ...forwardBody, command: transcription.transcript }
+    : { voiceChat: true, ...forwardBody, message: transcription.transcript };
+  const json = res.json.bind(res);
+  res.json = (body) => json(body && typeof body === 'object' && !Array.isArray(body) ? { ...body, transcription } : body);
+  return forward === 'voiceIntent' ? ai.voiceIntent(req, res) : ai.processMessage(req, res);
+}
+
+module.exports = { transcribe, registerRecognizer };
@@ -0,0 +1,82 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers/app');
+const { setBehavior } = require('../ai-mock');
+const { runProviderChain, runProviderChainStream, callGemini } = require('../ai-providers');
+const { resolveStep } = require('../ai-routing');
+
+// Provider fallbacks under MOCK_AI. Each provider fails at most twice in this file,
+// so no circuit breaker opens between tests (provider-health.js opens after three).
+
+const MESSAGE = 'What causes the monsoon?';
+const request = { message: MESSAGE, systemPrompt: 'You are a helpful assistant.', history: [] };
+const steps = (...providers) => providers.map((provider) => resolveStep({ provider, timeoutMs: 300 }));
+
+afterEach(() => {
+  for (const target of ['gemini', 'openai', 'grok', 'claude', 'models/gemini-2.5-flash']) setBehavior(target, null);
+});
+
+test('callGemini falls back to an older model when the primary is rate limited', async () => {
+  setBehavior('models/gemini-2.5-flash', { fail: '429' });
+  const text = await callGemini(MESSAGE, 'models/gemini-2.5-flash', { timeoutMs: 300 });
+  assert.match(text, /^Gemini says/);
+});
+
+test('callGemini falls back when the primary model times out', async () => {
+  setBehavior('models/gemini-2.5-flash', { fail: 'timeout' });
+  const startedAt = Date.now();
+  const text = await callGemini(MESSAGE, 'models/gemini-2.5-flash', { timeoutMs: 100 });
+  assert.match(text, /^Gemini says/);
+  assert.ok(Date.now() - startedAt < 2000);
+});
+
+test('callGemini falls back when the primary model replies empty', async () => {
+  setBehavior('models/gemini-2.5-flash', { fail: 'empty' });
+  assert.match(await callGemini(MESSAGE, 'models/gemini-2.5-flash', { timeoutMs: 300 }), /^Gemini says/);
+});
+
+test('the chain moves on when a provider is rate limited', async () => {
+  setBehavior('gemini', { fail: '429' });
+  const result = await runProviderChain(steps('gemini', 'openai', 'grok'), request, 'Test');
+  assert.equal(result.provider, 'openai');
+  assert.match(result.text, /^OpenAI says/);
+});
+
+test('the chain moves on when a provider times out', async () => {
+  setBehavior('openai', { fail: 'timeout' });
+  const result = await runProviderChain(steps('openai', 'grok'), request, 'Test');
+  assert.equal(result.provider, 'grok');
+});
+
+test('the chain moves on when a provider replies empty', async () => {
+  setBehavior('grok', { fail: 'empty' });
+  const result = await runProviderChain(steps('grok', 'claude'), request, 'Test');
+  assert.equal(result.provider, 'claude');
+  assert.match(result.text, /^Claude says/);
+});
+
+test('the chain resolves to an empty result when every provider fails', async () => {
+  setBehavior('gemini', { fail: '500' });
+  const result = await runProviderChain(steps('gemini'), request, 'Test');
+  assert.deepEqual(result, { text: '', provider: null, model: null });
+});
+
+test('a stream that fails before its first token falls back to the next provider', async () => {
+  setBehavior('claude', { fail: '429' });
+  let streamed = '';
+  const result = await runProviderChainStream(steps('claude', 'grok'), request, (piece) => { streamed += piece; }, { label: 'Test' });
+  assert.equal(result.provider, 'grok');
+  assert.match(streamed, /^Grok says/);
+  assert.equal(streamed, result.text);
+});
+
+test('a stream that breaks mid-answer keeps what was sent and is marked incomplete', async () => {
+  setBehavior('openai', { fail: 'midstream' });
+  let streamed = '';
+  const result = await runProviderChainStream(steps('openai', 'gemini'), request, (piece) => { streamed += piece; }, { label: 'Test' });
+  assert.equal(result.provider, 'openai');
+  assert.equal(result.incomplete, true);
+  assert.match(streamed, /^OpenAI says/);
+  assert.equal(result.text, streamed);
+  assert.ok(streamed.length < 'OpenAI says: summer heat over the land pulls in moist ocean winds, and that is the monsoon.'.length);
+});
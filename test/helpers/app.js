@@ -0,0 +1,77 @@
+const path = require('path');
+
+// Test server: the /ai and /voice routes on the in-memory Firestore, with every
+// provider answered by ai-mock.js (MOCK_AI=true) from test/fixtures/ai-mock.json.
+// Require this before anything from the app so the env and Firestore are in place.
+
+process.env.MOCK_AI = 'true';
+process.env.MOCK_AI_FIXTURES = path.join(__dirname, '..', 'fixtures', 'ai-mock.json');
+process.env.ALLOW_UNAUTHENTICATED = 'true';
+process.env.SPEECH_RECOGNIZER = process.env.SPEECH_RECOGNIZER || 'stub';
+
+const { store, docsUnder } = require('./firestore');
+const express = require('express');
+const { requireAuth, asyncHandler } = require('../../utils');
+const ai = require('../../ai');
+const speech = require('../../speech');
+
+const TEST_UID = 'test-user';
+
+function createApp() {
+  const app = express();
+  app.use(express.json({ limit: '10mb' }));
+  app.post('/ai/process', requireAuth, asyncHandler(async (req, res) => {
+    const wantsStream = req.headers['x-stream'] === '1' || req.body?.stream === true;
+    if (wantsStream) {
+      return ai.processMessageStream(req, res);
+    }
+    return ai.processMessage(req, res);
+  }));
+  app.post('/voice/transcribe', requireAuth, asyncHandler(speech.transcribe));
+  app.post('/ai/regenerate', requireAuth, asyncHandler(ai.regenerate));
+  return app;
+}
+
+/**
+ * Start the test server on a free port.
+ * Resolves to { post(path, body, headers?), close() }; post resolves to { status, body, text }.
+ * Objects are sent as JSON, strings and Buffers as they are (set content-type in headers).
+ */
+function startServer() {
+  return new Promise((resolve) => {
+    const server = createApp().listen(0, () => {
+      const base = `http://127.0.0.1:${server.address().port}`;
+      resolve({
+        post: async (route, body, headers = {}) => {
+          const resp = await fetch(base + route, {
+            method: 'POST',
+            headers: { 'content-type': 'application/json', 'x-demo-uid': TEST_UID, ...headers },
+            body: typeof body === 'string' || Buffer.isBuffer(body) ? body : JSON.stringify(body),
+          });
+          const text = await resp.text();
+          let json = null;
+          try {
+            json = JSON.parse(text);
+          } catch (e) {
+            // streamed replies aren't JSON
+          }
+          return { status: resp.status, body: json, text };
+        },
+        close: () => new Promise((done) => server.close(done)),
+      });
+    });
+  });
+}
+
+/// SSE events from a streamed /ai/process reply: [{ event, data }]
+function parseEvents(text) {
+  return text.split('\n\n').filter(Boolean).map((block) => {
+    const event = (block.match(/^event: (.*)$/m) || [])[1];
+    const data = (block.match(/^data: (.*)$/m) || [])[1];
+    return { event, data: data ? JSON.parse(data) : null };
+  }).filter((e) => e.event);
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+module.exports = { startServer, parseEvents, sleep, store, docsUnder, TEST_UID };
@@ -0,0 +1,200 @@
+const admin = require('firebase-admin');
+
+// In-memory Firestore for tests.
+//
+// Replaces admin.firestore() before the app modules load, so they run their real
+// queries and transactions against a Map of path -> data instead of a project.
+// Covers what the backend uses: collections, collection groups, where / orderBy /
+// limit, add / set (merge) / update / delete, batches, transactions and the
+// serverTimestamp / increment / delete field values. Transactions run one at a time.
+
+try {
+  admin.initializeApp({ projectId: 'humsafer-test' });
+} catch (e) {
+  // already initialized by another test helper
+}
+const { Timestamp } = admin.firestore;
+
+const store = new Map();
+let autoId = 0;
+
+const FieldValue = {
+  serverTimestamp: () => ({ op: 'serverTimestamp' }),
+  increment: (n) => ({ op: 'increment', n }),
+  delete: () => ({ op: 'delete' }),
+};
+
+function applyWrite(previous, data) {
+  const next = { ...(previous || {}) };
+  for (const [key, value] of Object.entries(data)) {
+    if (value && value.op === 'serverTimestamp') next[key] = Timestamp.now();
+    else if (value && value.op === 'increment') next[key] = (next[key] || 0) + value.n;
+    else if (value && value.op === 'delete') delete next[key];
+    else if (key.includes('.')) {
+      const [field, nested] = key.split('.');
+      next[field] = { ...(next[field] || {}), [nested]: value };
+    } else next[key] = value;
+  }
+  return next;
+}
+
+function comparable(value) {
+  if (value && typeof value.toMillis === 'function') return value.toMillis();
+  if (value instanceof Date) return value.getTime();
+  return value;
+}
+
+function compare(a, b) {
+  const x = comparable(a);
+  const y = comparable(b);
+  if (x < y) return -1;
+  return x > y ? 1 : 0;
+}
+
+function fieldOf(data, field) {
+  return field.split('.').reduce((value, key) => (value == null ? undefined : value[key]), data);
+}
+
+const MATCHERS = {
+  '==': (x, v) => compare(x, v) === 0,
+  '!=': (x, v) => compare(x, v) !== 0,
+  '<': (x, v) => x != null && compare(x, v) < 0,
+  '<=': (x, v) => x != null && compare(x, v) <= 0,
+  '>': (x, v) => x != null && compare(x, v) > 0,
+  '>=': (x, v) => x != null && compare(x, v) >= 0,
+  in: (x, v) => v.some((y) => compare(x, y) === 0),
+  'array-contains': (x, v) => Array.isArray(x) && x.includes(v),
+};
+
+function snapshot(path) {
+  const data = store.get(path);
+  return {
+    id: path.split('/').pop(),
+    exists: data !== undefined,
+    data: () => (data ? { ...data } : undefined),
+    ref: new DocumentReference(path),
+  };
+}
+
+class DocumentReference {
+  constructor(path) {
+    this.path = path;
+    this.id = path.split('/').pop();
+  }
+
+  collection(name) {
+    return new Query(`${this.path}/${name}`);
+  }
+
+  async get() {
+    return snapshot(this.path);
+  }
+
+  async set(data, { merge = false } = {}) {
+    store.set(this.path, applyWrite(merge ? store.get(this.path) : {}, data));
+  }
+
+  async update(data) {
+    if (!store.has(this.path)) throw new Error(`5 NOT_FOUND: No document to update: ${this.path}`);
+    store.set(this.path, applyWrite(store.get(this.path), data));
+  }
+
+  async delete() {
+    store.delete(this.path);
+  }
+}
+
+class Query {
+  constructor(path, { filters = [], order = [], limit = null, group = false } = {}) {
+    this.path = path;
+    this.id = path.split('/').pop();
+    this.spec = { filters, order, limit, group };
+  }
+
+  with(changes) {
+    return new Query(this.path, { ...this.spec, ...changes });
+  }
+
+  doc(id) {
+    return new DocumentReference(`${this.path}/${id || `auto${String(++autoId).padStart(16, '0')}`}`);
+  }
+
+  async add(data) {
+    const ref = this.doc();
+    await ref.set(data);
+    return ref;
+  }
+
+  where(field, op, value) {
+    return this.with({ filters: [...this.spec.filters, [field, op, value]] });
+  }
+
+  orderBy(field, direction = 'asc') {
+    return this.with({ order: [...this.spec.order, [field, direction]] });
+  }
+
+  limit(n) {
+    return this.with({ limit: n });
+  }
+
+  async get() {
+    const depth = this.path.split('/').length + 1;
+    let docs = [...store.keys()].filter((path) => {
+      const parts = path.split('/');
+      if (this.spec.group) return parts.length % 2 === 0 && parts[parts.length - 2] === this.path;
+      return path.startsWith(`${this.path}/`) && parts.length === depth;
+    }).map(snapshot);
+
+    for (const [field, op, value] of this.spec.filters) {
+      docs = docs.filter((d) => MATCHERS[op](fieldOf(d.data(), field), value));
+    }
+    for (const [field, direction] of [...this.spec.order].reverse()) {
+      docs.sort((a, b) => compare(fieldOf(a.data(), field), fieldOf(b.data(), field)) * (direction === 'desc' ? -1 : 1));
+    }
+    if (this.spec.limit != null) docs = docs.slice(0, this.spec.limit);
+    return { docs, empty: docs.length === 0, size: docs.length, forEach: (fn) => docs.forEach(fn) };
+  }
+}
+
+let transactionQueue = Promise.resolve();
+
+const db = {
+  collection: (name) => new Query(name),
+  collectionGroup: (name) => new Query(name, { group: true }),
+  doc: (path) => new DocumentReference(path),
+  batch: () => {
+    const writes = [];
+    return {
+      set: (ref, data, options) => writes.push(() => ref.set(data, options)),
+      update: (ref, data) => writes.push(() => ref.update(data)),
+      delete: (ref) => writes.push(() => ref.delete()),
+      commit: async () => {
+        for (const write of writes) await write();
+      },
+    };
+  },
+  runTransaction: (fn) => {
+    const run = transactionQueue.then(() => fn({
+      get: (ref) => ref.get(),
+      set: (ref, data, options) => ref.set(data, options),
+      update: (ref, data) => ref.update(data),
+      delete: (ref) => ref.delete(),
+    }));
+    transactionQueue = run.catch(() => {});
+    return run;
+  },
+};
+
+const firestore = () => db;
+firestore.FieldValue = FieldValue;
+firestore.Timestamp = Timestamp;
+Object.defineProperty(admin, 'firestore', { value: firestore, configurable: true, writable: true });
+
+/// Documents under a path prefix, e.g. docsUnder('users/u1/ai_logs')
+function docsUnder(prefix) {
+  return [...store.entries()]
+    .filter(([path]) => path.startsWith(`${prefix}/`) && path.split('/').length === prefix.split('/').length + 1)
+    .map(([path, data]) => ({ id: path.split('/').pop(), ...data }));
+}
+
+module.exports = { store, db, docsUnder };
@@ -0,0 +1,65 @@
+const { test, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, parseEvents } = require('./helpers/app');
+const { setBehavior } = require('../ai-mock');
+
+// /ai/process (JSON and SSE) on the default route - Gemini, then OpenAI, then Grok -
+// with providers failing through ai-mock behaviors.
+
+const MESSAGE = 'What causes the monsoon?';
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(() => server.close());
+
+afterEach(() => {
+  for (const provider of ['gemini', 'openai', 'grok']) setBehavior(provider, null);
+});
+
+const ask = (body = {}) => server.post('/ai/process', { message: MESSAGE, tierLevel: 'tier1', ...body });
+const askStream = () => ask({ stream: true, streamFormat: 'sse' });
+const deltas = (events) => events.filter((e) => e.event === 'delta').map((e) => e.data.text).join('');
+
+test('replies from the first provider in the route', async () => {
+  const resp = await ask();
+  assert.equal(resp.status, 200);
+  assert.match(resp.body.response, /^Gemini says/);
+  assert.ok(resp.body.messageId);
+});
+
+test('a stream that breaks mid-answer ends with what was sent, marked incomplete', async () => {
+  setBehavior('gemini', { fail: 'midstream' });
+  const events = parseEvents((await askStream()).text);
+  const done = events.find((e) => e.event === 'done').data;
+  assert.equal(done.provider, 'gemini');
+  assert.equal(done.incomplete, true);
+  assert.match(deltas(events), /^Gemini says/);
+  assert.equal(done.length, deltas(events).length);
+});
+
+test('a stream rate limited before its first token is answered by the next provider', async () => {
+  setBehavior('gemini', { fail: '429' });
+  const events = parseEvents((await askStream()).text);
+  const done = events.find((e) => e.event === 'done').data;
+  assert.equal(done.provider, 'openai');
+  assert.equal(done.incomplete, false);
+  assert.match(deltas(events), /^OpenAI says/);
+});
+
+test('falls back past a rate-limited and an empty provider', async () => {
+  setBehavior('gemini', { fail: '429' });
+  setBehavior('openai', { fail: 'empty' });
+  const resp = await ask();
+  assert.equal(resp.status, 200);
+  assert.match(resp.body.response, /^Grok says/);
+});
+
+test('reports an empty reply when no provider answers', async () => {
+  for (const provider of ['gemini', 'openai', 'grok']) setBehavior(provider, { fail: 'empty' });
+  const resp = await ask();
+  assert.equal(resp.status, 500);
+  assert.equal(resp.body.error, 'AI returned empty response');
+});
@@ -0,0 +1,47 @@
+const { test, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, store, TEST_UID } = require('./helpers/app');
+const { setBehavior } = require('../ai-mock');
+
+// /ai/regenerate for a reply rated down: free while MAX_FREE_REGENERATIONS last, and a
+// regeneration that ends without a reply gives its free try back.
+
+const MESSAGE = 'What causes the monsoon?';
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(() => server.close());
+
+afterEach(() => {
+  for (const provider of ['gemini', 'openai', 'grok']) setBehavior(provider, null);
+});
+
+function seedRatedDown(id) {
+  const path = `users/${TEST_UID}/ai_logs/${id}`;
+  store.set(path, { text: MESSAGE, response: 'Gemini says: it rains.', provider: 'gemini', feedback: { rating: 'down' } });
+  return path;
+}
+
+const regenerate = (messageId) => server.post('/ai/regenerate', { messageId, tierLevel: 'tier1' });
+
+test('regenerates a rated-down reply with the next provider, for free', async () => {
+  const path = seedRatedDown('rated-down-1');
+  const resp = await regenerate('rated-down-1');
+  assert.equal(resp.status, 200);
+  assert.match(resp.body.response, /^OpenAI says/);
+  assert.equal(resp.body.free, true);
+  assert.equal(store.get(path).freeRegenerations, 1);
+});
+
+test('gives the free regeneration back when no provider answers', async () => {
+  const path = seedRatedDown('rated-down-2');
+  for (const provider of ['gemini', 'openai', 'grok']) setBehavior(provider, { fail: '500' });
+  const resp = await regenerate('rated-down-2');
+  assert.equal(resp.status, 500);
+  assert.equal(resp.body.error, 'AI returned empty response');
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.equal(store.get(path).freeRegenerations, 0);
+});
@@ -0,0 +1,68 @@
+const { test, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, sleep, store, docsUnder, TEST_UID } = require('./helpers/app');
+const { registerRecognizer } = require('../speech');
+
+// /voice/transcribe with stand-in recognizers: the audio body is the transcript
+// (SPEECH_RECOGNIZER=stub), plus one that bills audio and one that always fails.
+
+const QUOTA_PATH = `users/${TEST_UID}/usage/transcriptions`;
+const LEDGER_PATH = `users/${TEST_UID}/usage/ledger/usage_ledger_entries`;
+let server;
+
+registerRecognizer({
+  name: 'billed',
+  model: 'google-speech',
+  recognize: async (audio, { languageCode }) => ({ transcript: audio.toString('utf8'), confidence: 0.87654, languageCode, billedSeconds: 15 }),
+});
+
+registerRecognizer({
+  name: 'broken',
+  recognize: async () => {
+    throw new Error('recognizer unavailable');
+  },
+});
+
+before(async () => {
+  server = await startServer();
+});
+
+after(() => server.close());
+
+afterEach(() => {
+  process.env.SPEECH_RECOGNIZER = 'stub';
+});
+
+const transcribe = (audio) => server.post('/voice/transcribe', audio, { 'content-type': 'audio/wav' });
+const quotaCount = () => store.get(QUOTA_PATH)?.count || 0;
+
+test('returns the transcript and counts it against the daily quota', async () => {
+  const resp = await transcribe('kal subah 10 baje meeting hai');
+  assert.equal(resp.status, 200);
+  assert.deepEqual(resp.body, { transcript: 'kal subah 10 baje meeting hai', confidence: 1, languageCode: 'hi-IN' });
+  assert.equal(quotaCount(), 1);
+});
+
+test('gives the quota back when the recognizer fails', async () => {
+  process.env.SPEECH_RECOGNIZER = 'broken';
+  const before = quotaCount();
+  const resp = await transcribe('doodh le aana');
+  assert.equal(resp.status, 502);
+  assert.equal(resp.body.error, 'Speech recognition failed');
+  await sleep(20);
+  assert.equal(quotaCount(), before);
+});
+
+test('records the billed audio seconds in the usage ledger', async () => {
+  process.env.SPEECH_RECOGNIZER = 'billed';
+  const resp = await transcribe('remind me to call mom');
+  assert.equal(resp.status, 200);
+  assert.equal(resp.body.confidence, 0.877);
+  await sleep(20);
+  const entries = docsUnder(LEDGER_PATH).filter((entry) => entry.provider === 'billed');
+  assert.equal(entries.length, 1);
+  assert.equal(entries[0].route, 'transcribe');
+  assert.equal(entries[0].model, 'google-speech');
+  assert.equal(entries[0].audioSeconds, 15);
+  assert.ok(entries[0].costUsd > 0);
+});
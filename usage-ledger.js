@@ -0,0 +1,158 @@
+const admin = require('firebase-admin');
+const db = admin.firestore();
+
+// Token and cost ledger for provider calls.
+//
+// Every billed provider call (replies, tool routing, extraction, summaries, hedged
+// losers included) is written next to the message counter as
+//   users/{uid}/usage/ledger/usage_ledger_entries/{id}
+//   { provider, model, route, mode, tier, promptTokens, completionTokens, audioSeconds?, costUsd, day, createdAt }
+// costUsd is null when the model has no price - tokens are still recorded, so the
+// cost can be worked out later once the price table is fixed. Speech-to-text is
+// billed by audio length instead of tokens (audioSeconds).
+// The subcollection name is unique so the cost report's collection-group query
+// (index on `day`, see README) matches nothing else.
+
+// USD per 1M tokens, or per minute of audio (perMinute). Override or extend with AI_PRICING, e.g.
+//   AI_PRICING='{"gpt-4o-mini":{"input":0.15,"output":0.6}}'
+const DEFAULT_PRICES = {
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gemini-2.5-flash': { input: 0.3, output: 2.5 },
+  'gemini-2.0-flash': { input: 0.1, output: 0.4 },
+  'gemini-1.5-flash': { input: 0.075, output: 0.3 },
+  'grok-4': { input: 3, output: 15 },
+  'claude-haiku-4-5': { input: 1, output: 5 },
+  'google-speech': { perMinute: 0.016 },
+};
+
+const LEDGER_COLLECTION = 'usage_ledger_entries';
+const REPORT_MAX_ENTRIES = 10000;  // per report, newest days may be cut off beyond this
+const REPORT_DEFAULT_DAYS = 30;
+
+let cachedPrices = null;
+
+function getPrices() {
+  if (cachedPrices) return cachedPrices;
+  let overrides = {};
+  if (process.env.AI_PRICING) {
+    try {
+      overrides = JSON.parse(process.env.AI_PRICING);
+    } catch (e) {
+      console.error('[UsageLedger] Invalid AI_PRICING, using defaults:', e.message);
+    }
+  }
+  cachedPrices = { ...DEFAULT_PRICES, ...overrides };
+  return cachedPrices;
+}
+
+/**
+ * Cost in USD for one call, or null when the model isn't in the price table
+ */
+function computeCost(model, promptTokens, completionTokens, audioSeconds) {
+  const price = getPrices()[String(model || '').replace(/^models\//, '')];
+  if (!price) return null;
+  if (price.perMinute != null) {
+    return audioSeconds == null ? null : Number(((audioSeconds / 60) * price.perMinute).toFixed(8));
+  }
+  const cost = (promptTokens * price.input + completionTokens * price.output) / 1e6;
+  return Number(cost.toFixed(8));
+}
+
+function ledgerRef(uid) {
+  return db.collection('users').doc(uid).collection('usage').doc('ledger').collection(LEDGER_COLLECTION);
+}
+
+/**
+ * onUsage callback for the provider chains: writes each report to the user's
+ * ledger in the background. Demo requests aren't recorded.
+ */
+function usageRecorder(uid, { route, mode, tier }) {
+  if (!uid || uid === 'demo') return undefined;
+  return ({ provider, model, promptTokens, completionTokens, audioSeconds }) => {
+    const now = new Date();
+    ledgerRef(uid).add({
+      provider: provider || null,
+      model: model || null,
+      route: route || 'chat',
+      mode: mode || 'general',
+      tier: tier || 'free',
+      promptTokens,
+      completionTokens,
+      ...(audioSeconds !== undefined ? { audioSeconds } : {}),
+      costUsd: computeCost(model, promptTokens, completionTokens, audioSeconds),
+      day: now.toISOString().substring(0, 10),
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    }).catch((err) => console.error('[UsageLedger] Write error:', err.message));
+  };
+}
+
+function emptyTotals() {
+  return { calls: 0, promptTokens: 0, completionTokens: 0, audioSeconds: 0, costUsd: 0, unpricedCalls: 0 };
+}
+
+function addTo(totals, entry) {
+  totals.calls += 1;
+  totals.promptTokens += entry.promptTokens || 0;
+  totals.completionTokens += entry.completionTokens || 0;
+  totals.audioSeconds += entry.audioSeconds || 0;
+  if (entry.costUsd == null) totals.unpricedCalls += 1;
+  else totals.costUsd = Number((totals.costUsd + entry.costUsd).toFixed(8));
+}
+
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// ===== ENDPOINTS =====
+
+/**
+ * Cost by provider, mode and tier for a date range (admin only).
+ * Query: from, to (YYYY-MM-DD, inclusive; default last 30 days), uid (one user, default all)
+ */
+async function costReport(req, res) {
+  const today = new Date().toISOString().substring(0, 10);
+  const to = req.query.to || today;
+  const from = req.query.from || (DAY_PATTERN.test(to)
+    ? new Date(Date.parse(to) - (REPORT_DEFAULT_DAYS - 1) * 24 * 60 * 60 * 1000).toISOString().substring(0, 10)
+    : null);
+  if (!DAY_PATTERN.test(from) || !DAY_PATTERN.test(to) || from > to) {
+    return res.status(400).json({ error: 'Invalid date range', detail: 'Use from/to as YYYY-MM-DD with from <= to' });
+  }
+
+  try {
+    const source = req.query.uid ? ledgerRef(String(req.query.uid)) : db.collectionGroup(LEDGER_COLLECTION);
+    const snap = await source
+      .where('day', '>=', from)
+      .where('day', '<=', to)
+      .orderBy('day')
+      .limit(REPORT_MAX_ENTRIES)
+      .get();
+
+    const totals = emptyTotals();
+    const byProvider = {};
+    const byMode = {};
+    const byTier = {};
+    for (const doc of snap.docs) {
+      const entry = doc.data();
+      addTo(totals, entry);
+      addTo(byProvider[entry.provider] = byProvider[entry.provider] || emptyTotals(), entry);
+      addTo(byMode[entry.mode] = byMode[entry.mode] || emptyTotals(), entry);
+      addTo(byTier[entry.tier] = byTier[entry.tier] || emptyTotals(), entry);
+    }
+
+    return res.json({
+      from,
+      to,
+      uid: req.query.uid || null,
+      totals,
+      byProvider,
+      byMode,
+      byTier,
+      truncated: snap.size >= REPORT_MAX_ENTRIES,
+    });
+  } catch (e) {
+    console.error('[UsageLedger] Firestore error:', e.message);
+    return res.status(500).json({ error: 'Failed to build cost report', detail: e.message });
+  }
+}
+
+module.exports = { usageRecorder, computeCost, costReport };
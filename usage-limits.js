@@ -243,6 +243,49 @@ function getNextDayStart() {
   return tomorrow;
 }
 
+/**
+ * The user's active subscription tier ('tier1' | 'tier2' | 'tier3'), or 'free'.
+ * Read from the user doc - for limits that must not trust the client's tierLevel.
+ */
+async function getSubscriptionTier(uid) {
+  const doc = await db.collection('users').doc(uid).get();
+  const data = doc.data() || {};
+  return data.subscriptionStatus === 'active' && PAID_TIER_LIMITS[data.subscriptionTier]
+    ? data.subscriptionTier
+    : 'free';
+}
+
+/**
+ * Count one use of a per-day quota (users/{uid}/usage/{counter}: { day, count }, UTC days)
+ * before the work is done - in a transaction, so parallel requests can't overshoot it.
+ * Resolves to the day it was counted on, or null when the limit is reached.
+ */
+async function reserveDailyQuota(uid, counter, limit) {
+  const ref = db.collection('users').doc(uid).collection('usage').doc(counter);
+  const day = new Date().toISOString().substring(0, 10);
+  return db.runTransaction(async (tx) => {
+    const doc = await tx.get(ref);
+    const data = doc.data() || {};
+    const count = data.day === day ? data.count || 0 : 0;
+    if (count >= limit) return null;
+    tx.set(ref, { day, count: count + 1, updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+    return day;
+  });
+}
+
+/**
+ * Give back a use counted by reserveDailyQuota when the work failed (background)
+ */
+function releaseDailyQuota(uid, counter, day) {
+  const ref = db.collection('users').doc(uid).collection('usage').doc(counter);
+  db.runTransaction(async (tx) => {
+    const doc = await tx.get(ref);
+    const data = doc.data() || {};
+    if (data.day !== day || !data.count) return;  // counted on a day that's over
+    tx.update(ref, { count: data.count - 1 });
+  }).catch((err) => console.error(`[UsageLimits] Error releasing ${counter} quota:`, err.message));
+}
+
 /**
  * Get user's remaining quota
  */
@@ -276,6 +319,9 @@ module.exports = {
   incrementMessageCount,
   getUserUsage,
   getRemainingQuota,
+  getSubscriptionTier,
+  reserveDailyQuota,
+  releaseDailyQuota,
   checkFreeTierExpiry,
   FREE_TIER_LIMITS,
 };
@@ -50,17 +50,32 @@ function requireAuth(req, res, next) {
   verifyToken(req)
     .then((uid) => {
       req.userId = uid;
+      req.authVerified = uid !== 'demo';
       next();
     })
     .catch((err) => res.status(401).json({ error: 'UNAUTHENTICATED', detail: err.message }));
 }
 
+/**
+ * Admin-only routes (use after requireAuth). Admins are listed in ADMIN_UIDS
+ * (comma-separated). In production the uid must come from a verified token,
+ * never from the demo / x-demo-uid bypass.
+ */
+function requireAdmin(req, res, next) {
+  const admins = (process.env.ADMIN_UIDS || '').split(',').map((id) => id.trim()).filter(Boolean);
+  const trusted = req.authVerified || process.env.NODE_ENV !== 'production';
+  if (!trusted || !admins.includes(req.userId)) {
+    return res.status(403).json({ error: 'FORBIDDEN', detail: 'Admin access required' });
+  }
+  next();
+}
+
 const asyncHandler = (fn) => (req, res, next) => Promise.resolve(fn(req, res, next)).catch(next);
 
 function ok(res, data) {
   res.status(200).json(data || { ok: true });
 }
 
-module.exports = { requireAuth, asyncHandler, ok };
+module.exports = { requireAuth, requireAdmin, asyncHandler, ok };
 
 